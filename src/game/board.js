@@ -1,7 +1,8 @@
 /**
  * Board management system for Dungeon Rush
  */
-import { createTile } from './tiles.js';
+import { createTile, Tile } from './tiles.js';
+import { DEFAULT_ORIENTATION } from './tileRegistry.js';
 
 export class Board {
   constructor(totalPaths) {
@@ -13,9 +14,11 @@ export class Board {
   /**
    * Add a new column of tiles to the board
    * @param {Array} tileTypes - Array of tile types (one per path/row)
+   * @param {Array} orientations - Way each oriented tile (one-way arrow) points, by row;
+   *   missing entries get the default orientation
    * @returns {boolean} Success
    */
-  addColumn(tileTypes) {
+  addColumn(tileTypes, orientations = []) {
     if (tileTypes.length !== this.totalPaths) {
       console.error(`Expected ${this.totalPaths} tiles, got ${tileTypes.length}`);
       return false;
@@ -26,14 +29,52 @@ export class Board {
 
     for (let row = 0; row < this.totalPaths; row++) {
       const tile = createTile(tileTypes[row], columnIndex, row);
+      if (tile.isOriented()) {
+        tile.orientation = orientations[row] || DEFAULT_ORIENTATION;
+      }
       newColumn.push(tile);
     }
 
     this.columns.push(newColumn);
     this.maxColumn = columnIndex;
+    this.linkPairedTiles(newColumn);
     return true;
   }
 
+  /**
+   * Link newly placed paired tiles (teleporters), each to the oldest end of its type
+   * still waiting for a partner, or to a new pair if there is none
+   * @param {Array} tiles - Tiles just placed
+   */
+  linkPairedTiles(tiles) {
+    for (const tile of tiles) {
+      if (!tile.isPaired()) continue;
+
+      const waiting = this.getAllTiles().find(other =>
+        other !== tile && other.type === tile.type && other.linkId !== null && !other.disarmed &&
+        !this.getLinkedTile(other)
+      );
+      if (waiting) {
+        tile.linkId = waiting.linkId;
+      } else {
+        const linkIds = this.getAllTiles().map(other => other.linkId ?? 0);
+        tile.linkId = Math.max(0, ...linkIds) + 1;
+      }
+    }
+  }
+
+  /**
+   * Get the other end of a paired tile
+   * @param {Tile} tile 
+   * @returns {Tile|null} null if the tile isn't paired or its partner hasn't been placed (or was destroyed)
+   */
+  getLinkedTile(tile) {
+    if (tile.linkId === null) return null;
+    return this.getAllTiles().find(other =>
+      other !== tile && other.type === tile.type && other.linkId === tile.linkId
+    ) || null;
+  }
+
   /**
    * Get tile at specific position
    * @param {number} x - Column
@@ -93,7 +134,10 @@ export class Board {
   hideRevealedTiles() {
     for (const column of this.columns) {
       for (const tile of column) {
-        tile.hide();
+        // Destroyed tiles leave gaps
+        if (tile) {
+          tile.hide();
+        }
       }
     }
   }
@@ -147,17 +191,29 @@ export class Board {
   }
 
   /**
-   * Get all tiles on the board
+   * Get all tiles on the board (destroyed tiles are skipped)
    * @returns {Array}
    */
   getAllTiles() {
     const tiles = [];
     for (const column of this.columns) {
-      tiles.push(...column);
+      tiles.push(...column.filter(tile => tile));
     }
     return tiles;
   }
 
+  /**
+   * Call a function for every tile position on the board
+   * @param {Function} callback - (tile, x, y); tile is null where destroyed
+   */
+  forEachTile(callback) {
+    for (let x = 0; x <= this.maxColumn; x++) {
+      for (let y = 0; y < this.totalPaths; y++) {
+        callback(this.columns[x][y], x, y);
+      }
+    }
+  }
+
   /**
    * Clear the board
    */
@@ -179,6 +235,35 @@ export class Board {
     return board;
   }
 
+  /**
+   * Serialize the board
+   * Destroyed tiles are kept as null so row gaps survive the round trip
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      totalPaths: this.totalPaths,
+      maxColumn: this.maxColumn,
+      columns: this.columns.map(column => 
+        column.map(tile => tile ? tile.toJSON() : null)
+      )
+    };
+  }
+
+  /**
+   * Restore a board from serialized data
+   * @param {Object} data 
+   * @returns {Board}
+   */
+  static fromJSON(data) {
+    const board = new Board(data.totalPaths);
+    board.maxColumn = data.maxColumn;
+    board.columns = data.columns.map(column => 
+      column.map(tile => tile ? Tile.fromJSON(tile) : null)
+    );
+    return board;
+  }
+
   /**
    * Destroy tiles at specified positions
    * @param {Array} positions - Array of {x, y} positions
@@ -0,0 +1,350 @@
+/**
+ * Headless rules engine - drives a GameState through a command API
+ * Imports nothing from the UI so matches can be scripted from Node
+ */
+import { GameState } from './gameState.js';
+import { createGameSetup, validateGameConfig, GamePhase } from '../utils/gameConfig.js';
+import { getOrientationVector, getPlacedOrientation } from './tileRegistry.js';
+
+export class Engine {
+  constructor(gameState) {
+    this.gameState = gameState;
+  }
+
+  /**
+   * Reset the game and draw the first defense tiles
+   * @returns {Object} { success: boolean, error: string, events: Array }
+   */
+  start() {
+    return this._run(() => {
+      this.gameState.reset();
+      return this._startDefenseTurn();
+    });
+  }
+
+  /**
+   * Record a tile assignment to a row of the next column
+   * Assignments are informational; placeColumn commits the actual layout
+   * @param {number} row
+   * @param {string} tileType
+   * @param {string|null} replacedTile - Tile previously assigned to the row
+   * @param {string|null} orientation - Way an oriented tile (one-way arrow) points
+   * @returns {Object} { success: boolean, error: string, events: Array }
+   */
+  assignTile(row, tileType, replacedTile = null, orientation = null) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.DEFENSE);
+      if (check) return check;
+
+      if (row < 0 || row >= this.gameState.config.totalPaths) {
+        return { success: false, error: 'Invalid row' };
+      }
+      if (!this.gameState.currentDraw.includes(tileType)) {
+        return { success: false, error: 'Tile is not in the current draw' };
+      }
+      if (orientation && !getOrientationVector(orientation)) {
+        return { success: false, error: 'Invalid orientation' };
+      }
+
+      this.gameState.recordAssignment(row, tileType, replacedTile, getPlacedOrientation(tileType, orientation));
+      return { success: true };
+    });
+  }
+
+  /**
+   * Record removing a tile assignment from a row
+   * @param {number} row
+   * @param {string} tileType
+   * @returns {Object} { success: boolean, error: string, events: Array }
+   */
+  unassignTile(row, tileType) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.DEFENSE);
+      if (check) return check;
+
+      if (row < 0 || row >= this.gameState.config.totalPaths) {
+        return { success: false, error: 'Invalid row' };
+      }
+      if (this.gameState.getRecordedAssignments().get(row) !== tileType) {
+        return { success: false, error: `Row ${row} has no ${tileType} assigned` };
+      }
+
+      this.gameState.recordUnassignment(row, tileType);
+      return { success: true };
+    });
+  }
+
+  /**
+   * Place the current draw as a new column and end the defense turn
+   * @param {Array} tiles - Ordered array of tile types (one per row)
+   * @param {Array} orientations - Way each oriented tile (one-way arrow) points, by row
+   * @returns {Object} { success: boolean, error: string, phase: string, events: Array }
+   */
+  placeColumn(tiles, orientations = []) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.DEFENSE);
+      if (check) return check;
+
+      const result = this.gameState.placeDefenseTiles(tiles, orientations);
+      if (!result.success) return result;
+
+      this.gameState.endDefensePhase();
+
+      // First cycle may give defense another turn
+      if (this.gameState.phase === GamePhase.DEFENSE) {
+        return this._startDefenseTurn();
+      }
+      return { success: true, phase: this.gameState.phase };
+    });
+  }
+
+  /**
+   * Spawn a unit onto a row of the first column
+   * @param {string} unitType
+   * @param {number} row
+   * @returns {Object} { success: boolean, error: string, effects: Object, events: Array }
+   */
+  spawn(unitType, row) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.OFFENSE);
+      if (check) return check;
+
+      return this.gameState.spawnUnit(unitType, row);
+    });
+  }
+
+  /**
+   * Move a unit to a target position
+   * @param {string} unitType
+   * @param {number} targetX
+   * @param {number} targetY
+   * @returns {Object} { success: boolean, error: string, effects: Object, events: Array }
+   */
+  move(unitType, targetX, targetY) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.OFFENSE);
+      if (check) return check;
+
+      return this.gameState.performMove(unitType, targetX, targetY);
+    });
+  }
+
+  /**
+   * Reveal a tile adjacent to a Scout that just moved
+   * @param {string} unitType
+   * @param {number} targetX
+   * @param {number} targetY
+   * @returns {Object} { success: boolean, error: string, tileType: string, events: Array }
+   */
+  scoutReveal(unitType, targetX, targetY) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.OFFENSE, 'scoutReveal');
+      if (check) return check;
+
+      return this.gameState.revealAdjacentTile(unitType, targetX, targetY);
+    });
+  }
+
+  /**
+   * Pass on a Scout's reveal
+   * @param {string} unitType
+   * @returns {Object} { success: boolean, error: string, events: Array }
+   */
+  skipReveal(unitType) {
+    return this._run(() => {
+      const check = this._requirePhase(GamePhase.OFFENSE, 'scoutReveal');
+      if (check) return check;
+
+      return this.gameState.skipScoutReveal(unitType);
+    });
+  }
+
+  /**
+   * Move a unit freed from a cage to an adjacent tile
+   * @param {number} targetX
+   * @param {number} targetY
+   * @returns {Object} { success: boolean, error: string, effects: Object, events: Array }
+   */
+  releaseFromCage(targetX, targetY) {
+    return this._run(() => {
+      if (this.gameState.isGameOver()) {
+        return { success: false, error: 'Game is over' };
+      }
+
+      return this.gameState.resolveCageRelease(targetX, targetY);
+    });
+  }
+
+  /**
+   * End the offense turn and draw the next defense tiles
+   * Defense ends its own turns through placeColumn
+   * @returns {Object} { success: boolean, error: string, phase: string, events: Array }
+   */
+  endTurn() {
+    return this._run(() => {
+      if (this.gameState.isGameOver()) {
+        return { success: false, error: 'Game is over' };
+      }
+
+      if (this.gameState.phase === GamePhase.DEFENSE) {
+        return { success: false, error: 'Defense ends its turn by placing a column' };
+      }
+      if (this.gameState.pendingChoice) {
+        return { success: false, error: 'A pending choice must be made first' };
+      }
+
+      this.gameState.endOffensePhase();
+      return this._startDefenseTurn();
+    });
+  }
+
+  /**
+   * Execute a command object, e.g. { type: 'move', unitType: 'basic', x: 0, y: 1 }
+   * @param {Object} command
+   * @returns {Object}
+   */
+  execute(command) {
+    switch (command?.type) {
+      case 'assign':
+        return this.assignTile(command.row, command.tileType, command.replacedTile, command.orientation);
+      case 'unassign':
+        return this.unassignTile(command.row, command.tileType);
+      case 'placeColumn':
+        return this.placeColumn(command.tiles, command.orientations);
+      case 'spawn':
+        return this.spawn(command.unitType, command.row);
+      case 'move':
+        return this.move(command.unitType, command.x, command.y);
+      case 'scoutReveal':
+        return this.scoutReveal(command.unitType, command.x, command.y);
+      case 'skipReveal':
+        return this.skipReveal(command.unitType);
+      case 'cageRelease':
+        return this.releaseFromCage(command.x, command.y);
+      case 'endTurn':
+        return this.endTurn();
+      default:
+        return { success: false, error: `Unknown command: ${command?.type}`, events: [] };
+    }
+  }
+
+  /**
+   * Get tiles drawn for the current defense turn
+   * @returns {Array}
+   */
+  getCurrentDraw() {
+    return [...this.gameState.currentDraw];
+  }
+
+  /**
+   * Get the tiles a unit can be spawned onto
+   * @param {string} unitType
+   * @returns {Array} Array of {x, y} positions
+   */
+  getSpawnTargets(unitType) {
+    return this.gameState.getSpawnTargets(unitType);
+  }
+
+  /**
+   * Get valid move positions for a unit
+   * @param {string} unitType
+   * @returns {Array} Array of {x, y} positions
+   */
+  getValidMoves(unitType) {
+    return this.gameState.getValidMoves(unitType);
+  }
+
+  /**
+   * Get the choice offense must make before acting again, if any
+   * @returns {Object|null} e.g. { type: 'cageRelease' | 'scoutReveal', unitType, x, y, options }
+   */
+  getPendingChoice() {
+    return this.gameState.pendingChoice;
+  }
+
+  /**
+   * Get current phase
+   * @returns {string}
+   */
+  getPhase() {
+    return this.gameState.phase;
+  }
+
+  /**
+   * Check if game is over
+   * @returns {boolean}
+   */
+  isGameOver() {
+    return this.gameState.isGameOver();
+  }
+
+  /**
+   * Get game winner
+   * @returns {string|null}
+   */
+  getWinner() {
+    return this.gameState.getWinner();
+  }
+
+  /**
+   * Draw tiles for a defense turn
+   * @returns {Object}
+   */
+  _startDefenseTurn() {
+    const result = this.gameState.startDefensePhase();
+    if (!result.success && this.gameState.isGameOver()) {
+      // Running out of tiles ends the game but is not a failed command
+      return { success: true, phase: this.gameState.phase, gameOver: true, winner: this.gameState.getWinner() };
+    }
+    return { ...result, phase: this.gameState.phase };
+  }
+
+  /**
+   * Check the game is running and in the given phase
+   * @param {string} phase
+   * @param {string|null} choiceType - Pending choice the command resolves, if any
+   * @returns {Object|null} Error result, or null if the command may proceed
+   */
+  _requirePhase(phase, choiceType = null) {
+    if (this.gameState.isGameOver()) {
+      return { success: false, error: 'Game is over' };
+    }
+    if (this.gameState.phase !== phase) {
+      return { success: false, error: `Not in ${phase} phase` };
+    }
+    if (this.gameState.pendingChoice && this.gameState.pendingChoice.type !== choiceType) {
+      return { success: false, error: 'A pending choice must be made first' };
+    }
+    return null;
+  }
+
+  /**
+   * Run a command and attach the events it logged
+   * @param {Function} command
+   * @returns {Object}
+   */
+  _run(command) {
+    const eventCount = this.gameState.events.length;
+    const result = command();
+    return { ...result, events: this.gameState.events.slice(eventCount) };
+  }
+}
+
+/**
+ * Create a headless engine with a fresh game
+ * @param {Object} overrides - Custom configuration values
+ * @param {number} seed - Tile bag seed for reproducibility
+ * @returns {Engine}
+ */
+export function createEngine(overrides = {}, seed = Date.now()) {
+  const config = createGameSetup(overrides, seed);
+
+  const validation = validateGameConfig(config);
+  if (!validation.valid) {
+    throw new Error('Invalid game configuration: ' + validation.errors.join(', '));
+  }
+
+  const engine = new Engine(new GameState(config));
+  engine.start();
+  return engine;
+}
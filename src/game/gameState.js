@@ -3,8 +3,23 @@
  */
 import { Board } from './board.js';
 import { TileBag } from './tileBag.js';
-import { createAllUnits } from './units.js';
-import { GamePhase, TileType } from '../utils/gameConfig.js';
+import { createAllUnits, Unit } from './units.js';
+import { GamePhase, GameMode, TileType, WinRule, BlastShape, DEFAULT_GAME_CONFIG } from '../utils/gameConfig.js';
+import { getOrientationVector, getPlacedOrientation } from './tileRegistry.js';
+
+// Bump when the snapshot format changes (v2 added the action log, v3 pending choices, v4 disarmed tiles,
+// v5 tile pair links, v6 tile orientations)
+export const SNAPSHOT_VERSION = 6;
+
+// Bump when the recording format changes (v2: spawns target a row of column 0, v3: cage releases,
+// v4: Scout reveals follow the move and may be skipped, v5: oil slicks chain into slides,
+// v6: bomb traps explode and chain reactions resolve in queue order,
+// v7: one-way arrows are placed with an orientation)
+export const RECORDING_VERSION = 7;
+
+// Oldest recording format that replays the same under the current rules (v7 only added an
+// optional orientation to placements; earlier versions changed how moves resolve)
+export const OLDEST_REPLAYABLE_RECORDING_VERSION = 6;
 
 export class GameState {
   constructor(config) {
@@ -16,15 +31,20 @@ export class GameState {
     // Game state
     this.turn = 1;
     this.phase = GamePhase.DEFENSE;
-    this.defenseTurnCount = 0; // Track consecutive defense turns (0 or 1, resets after 2)
-    this.firstCycle = true; // Defense gets 2 turns only on first cycle
+    this.defenseTurnCount = 0; // Track consecutive defense turns in the opening
+    this.firstCycle = true; // Defense lays several columns only on first cycle
     this.gold = config.startingGold;
     this.currentDraw = []; // Tiles drawn by defense this turn
     this.gameOver = false;
     this.winner = null; // 'offense' or 'defense'
+    this.pendingChoice = null; // Decision offense must make before anything else (e.g. cage release)
+    this.effectQueue = null; // Effects waiting to resolve while a move is being resolved
     
     // Event log
     this.events = [];
+    
+    // Accepted player commands, in order (for deterministic replay)
+    this.actions = [];
   }
 
   /**
@@ -59,9 +79,11 @@ export class GameState {
   /**
    * Place defense tiles on the board
    * @param {Array} tiles - Ordered array of tile types (one per row)
+   * @param {Array} orientations - Way each oriented tile (one-way arrow) points, by row;
+   *   missing entries get the default orientation
    * @returns {Object} { success: boolean, error: string }
    */
-  placeDefenseTiles(tiles) {
+  placeDefenseTiles(tiles, orientations = []) {
     if (this.phase !== GamePhase.DEFENSE) {
       return { success: false, error: 'Not in defense phase' };
     }
@@ -70,13 +92,30 @@ export class GameState {
       return { success: false, error: 'Incorrect number of tiles' };
     }
 
+    // Tiles must be exactly the ones drawn this turn (in any order)
+    const remaining = [...this.currentDraw];
+    for (const tileType of tiles) {
+      const index = remaining.indexOf(tileType);
+      if (index === -1) {
+        return { success: false, error: 'Tiles do not match the current draw' };
+      }
+      remaining.splice(index, 1);
+    }
+
+    if (orientations.some(orientation => orientation && !getOrientationVector(orientation))) {
+      return { success: false, error: 'Invalid orientation' };
+    }
+    // Only oriented tiles keep an orientation, so the record shows exactly what was placed
+    const placedOrientations = tiles.map((tileType, row) => getPlacedOrientation(tileType, orientations[row]));
+
     // Add column to board
-    const success = this.board.addColumn(tiles);
+    const success = this.board.addColumn(tiles, placedOrientations);
     if (!success) {
       return { success: false, error: 'Failed to place tiles' };
     }
 
     this.logEvent(`Defense placed column ${this.board.maxColumn}`, 'defense');
+    this.recordAction({ type: 'placeColumn', tiles: [...tiles], orientations: placedOrientations });
     return { success: true };
   }
 
@@ -86,15 +125,15 @@ export class GameState {
   endDefensePhase() {
     this.defenseTurnCount++;
     
-    // Defense takes 2 turns ONLY at the start of the game
-    if (this.firstCycle && this.defenseTurnCount < 2) {
-      // Stay in defense phase for second turn
+    // Defense takes several turns ONLY at the start of the game
+    if (this.firstCycle && this.defenseTurnCount < this.getOpeningColumns()) {
+      // Stay in defense phase for another turn
       this.currentDraw = [];
-      this.logEvent(`Defense turn ${this.defenseTurnCount} complete - taking second turn`, 'defense');
+      this.logEvent(`Defense turn ${this.defenseTurnCount} complete - taking another turn`, 'defense');
       return;
     }
     
-    // After 2 defense turns (or on subsequent cycles), switch to offense
+    // After the opening turns (or on subsequent cycles), switch to offense
     this.phase = GamePhase.OFFENSE;
     this.defenseTurnCount = 0; // Reset counter
     this.firstCycle = false; // First cycle complete
@@ -107,7 +146,7 @@ export class GameState {
     
     // Grant gold to offense (base + per-unit bonus)
     const baseGold = this.config.goldPerTurn;
-    const bonusGold = unitsOnBoard;
+    const bonusGold = unitsOnBoard * this.getTuning('goldPerActiveUnit');
     const totalGold = baseGold + bonusGold;
     
     this.gold += totalGold;
@@ -125,11 +164,13 @@ export class GameState {
   }
 
   /**
-   * Spawn a unit
+   * Spawn a unit onto a tile of the first column
+   * The unit enters the tile like a move: it is revealed and its effects trigger
    * @param {string} unitType 
-   * @returns {Object} { success: boolean, error: string }
+   * @param {number} row - Row of column 0 to spawn onto
+   * @returns {Object} { success: boolean, error: string, effects: Object }
    */
-  spawnUnit(unitType) {
+  spawnUnit(unitType, row) {
     const unit = this.units[unitType];
     if (!unit) {
       return { success: false, error: 'Invalid unit type' };
@@ -148,20 +189,81 @@ export class GameState {
       return { success: false, error: 'Not enough gold' };
     }
 
-    // Check if spawn area is occupied
-    const spawnOccupied = Object.values(this.units).some(u => 
-      u.alive && u.x === -1 && u.spawned
-    );
-    if (spawnOccupied) {
-      return { success: false, error: 'Spawn area occupied' };
+    const tile = this.board.getTile(0, row);
+    if (!tile) {
+      return { success: false, error: 'Invalid spawn position' };
+    }
+
+    // Occupied tiles are off limits, except a cage holding a trapped unit (spawning frees it)
+    if (!this.canEnterTile(unit, 0, row)) {
+      return { success: false, error: 'Spawn position occupied' };
     }
 
     // Spawn unit
     this.gold -= cost;
-    unit.spawn(0); // Spawn at y=0 in offense endzone (x=-1)
-    this.logEvent(`Spawned ${unitType} (-${cost} gold)`, 'offense');
+    this.recordAction({ type: 'spawn', unitType, row });
     
-    return { success: true };
+    const wasRevealed = tile.revealed;
+    tile.reveal();
+    
+    // A wall (or an arrow pointing back at the offense endzone) can't be spawned onto -
+    // the gold is spent and the unit stays in reserve
+    if (tile.blocksMovement()) {
+      const lost = cost + this.chargeWallBumpPenalty();
+      this.logEvent(`${unitType} discovered a wall at (0, ${row})! Spawn blocked (lost ${lost} gold)`, 'event');
+      return { success: false, error: 'Spawn blocked by wall', goldLost: true };
+    }
+    if (tile.blocksEntry({ dx: 1, dy: 0 })) {
+      const lost = cost + this.chargeWallBumpPenalty();
+      this.logEvent(`${unitType} found a one-way arrow pointing the other way at (0, ${row})! Spawn blocked (lost ${lost} gold)`, 'event');
+      return { success: false, error: 'Spawn blocked by one-way arrow', goldLost: true };
+    }
+    
+    unit.spawn(0, row);
+    this.logEvent(`Spawned ${unitType} at (0, ${row}) (-${cost} gold)`, 'offense');
+    
+    // Spawning enters the tile from the offense endzone
+    return this.checkLastTileWin(unit, this.resolveTileEffects(unit, tile, { dx: 1, dy: 0 }, wasRevealed));
+  }
+
+  /**
+   * Get the tiles a unit can be spawned onto
+   * @param {string} unitType 
+   * @returns {Array} Array of {x, y} positions
+   */
+  getSpawnTargets(unitType) {
+    const unit = this.units[unitType];
+    if (!unit) return [];
+
+    const targets = [];
+    for (let row = 0; row < this.config.totalPaths; row++) {
+      const tile = this.board.getTile(0, row);
+      // A face-up arrow pointing back at the offense endzone can't be entered from it
+      if (tile && !(tile.revealed && tile.blocksEntry({ dx: 1, dy: 0 })) && this.canEnterTile(unit, 0, row)) {
+        targets.push({ x: 0, y: row });
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Check if a unit may enter a tile
+   * Tiles holding another unit are blocked, except a cage with a trapped unit (entering frees it)
+   * @param {Unit} unit 
+   * @param {number} x 
+   * @param {number} y 
+   * @returns {boolean}
+   */
+  canEnterTile(unit, x, y) {
+    const occupyingUnit = Object.values(this.units).find(u => 
+      u.alive && u !== unit && u.x === x && u.y === y
+    );
+    if (!occupyingUnit) {
+      return true;
+    }
+
+    const tile = this.board.getTile(x, y);
+    return !!tile && tile.type === TileType.CAGE_TRAP && occupyingUnit.trapped;
   }
 
   /**
@@ -169,10 +271,10 @@ export class GameState {
    * @param {string} unitType 
    * @param {number} targetX 
    * @param {number} targetY 
-   * @param {boolean} isSprinterSecondMove - If true, this is the second move of a Sprinter Move 2
+   * @param {boolean} isFollowUpStep - If true, this is a later step of a Move 2+ move (already paid for)
    * @returns {Object} { success: boolean, error: string, effects: Object }
    */
-  moveUnit(unitType, targetX, targetY, isSprinterSecondMove = false) {
+  moveUnit(unitType, targetX, targetY, isFollowUpStep = false) {
     const unit = this.units[unitType];
     if (!unit) {
       return { success: false, error: 'Invalid unit type' };
@@ -186,7 +288,7 @@ export class GameState {
       return { success: false, error: 'Unit is trapped' };
     }
 
-    const cost = isSprinterSecondMove ? 0 : unit.getMoveCost(this.config);
+    const cost = isFollowUpStep ? 0 : unit.getMoveCost(this.config);
     if (this.gold < cost) {
       return { success: false, error: 'Not enough gold' };
     }
@@ -194,34 +296,29 @@ export class GameState {
     // Validate movement
     const dx = targetX - unit.x;
     const dy = targetY - unit.y;
-    const validMoves = unit.getMovementOptions(this.config.totalPaths);
+    const validMoves = this.getMovementOptions(unit);
     const isValidMove = validMoves.some(move => move.dx === dx && move.dy === dy);
     
     if (!isValidMove) {
       return { success: false, error: 'Invalid move' };
     }
 
+    // A unit on a face-up one-way arrow can only leave the way it points
+    const currentTile = this.board.getTile(unit.x, unit.y);
+    if (currentTile && currentTile.revealed && !currentTile.allowsExit({ dx, dy })) {
+      return { success: false, error: 'One-way arrow points another way' };
+    }
+
     // Check if target is valid position
-    if (!this.board.isValidPosition(targetX, targetY) && !this.board.isDefenseEndzone(targetX)) {
+    // Tiles destroyed by a bomb leave gaps at the end of their row
+    if (!this.board.getTile(targetX, targetY) && !this.board.isDefenseEndzone(targetX)) {
       return { success: false, error: 'Invalid target position' };
     }
     
     // Check if target position is occupied by another unit
     // Exception: allow moving onto cage trap tiles with trapped units (to free them)
-    const targetTile = this.board.getTile(targetX, targetY);
-    const targetOccupied = Object.values(this.units).some(u => 
-      u.alive && u !== unit && u.x === targetX && u.y === targetY
-    );
-    
-    if (targetOccupied) {
-      // Check if it's a cage trap with a trapped unit - this is allowed
-      const occupyingUnit = Object.values(this.units).find(u => 
-        u.alive && u !== unit && u.x === targetX && u.y === targetY
-      );
-      
-      if (!(targetTile && targetTile.type === TileType.CAGE_TRAP && occupyingUnit.trapped)) {
-        return { success: false, error: 'Target position occupied by another unit' };
-      }
+    if (!this.canEnterTile(unit, targetX, targetY)) {
+      return { success: false, error: 'Target position occupied by another unit' };
     }
 
     // Check if reached defense endzone (win condition)
@@ -251,271 +348,780 @@ export class GameState {
     const tile = this.board.getTile(targetX, targetY);
     const wasRevealed = tile.revealed;
     
-    // Jumper doesn't reveal the tile they land on (unless already revealed)
-    const shouldReveal = !unit.isJumpMove(dx, dy);
+    // Jumper doesn't reveal the tile they land on (unless already revealed),
+    // except the last tile when it has to be survived to win
+    const shouldReveal = !unit.isJumpMove(dx, dy) || (this.isLastTileRule() && targetX === this.board.maxColumn);
     if (shouldReveal) {
       tile.reveal();
     }
     
     // Check if it's a wall AFTER paying and potentially revealing
-    if (tile.type === TileType.WALL) {
+    if (tile.blocksMovement()) {
       // Revert the move
       unit.moveTo(oldX, oldY);
       if (this.board.isValidPosition(oldX, oldY)) {
         this.board.setTileHasUnit(oldX, oldY, true);
       }
-      this.logEvent(`${unitType} discovered a wall at (${targetX}, ${targetY})! Movement blocked (lost ${cost} gold)`, 'event');
+      const lost = cost + this.chargeWallBumpPenalty();
+      this.logEvent(`${unitType} discovered a wall at (${targetX}, ${targetY})! Movement blocked (lost ${lost} gold)`, 'event');
       return { success: false, error: 'Movement blocked by wall', goldLost: true, sprinterStop: true };
     }
+
+    // A one-way arrow turns back a unit moving against it the same way
+    if (tile.blocksEntry({ dx, dy })) {
+      unit.moveTo(oldX, oldY);
+      if (this.board.isValidPosition(oldX, oldY)) {
+        this.board.setTileHasUnit(oldX, oldY, true);
+      }
+      const lost = cost + this.chargeWallBumpPenalty();
+      this.logEvent(`${unitType} found a one-way arrow pointing the other way at (${targetX}, ${targetY})! Movement blocked (lost ${lost} gold)`, 'event');
+      return { success: false, error: 'Movement blocked by one-way arrow', goldLost: true, sprinterStop: true };
+    }
+    
+    this.logEvent(`${unitType} moved to (${targetX}, ${targetY})`, 'offense');
+    return this.checkLastTileWin(unit, this.resolveTileEffects(unit, tile, { dx, dy }, wasRevealed));
+  }
+
+  /**
+   * Take the wall-bump penalty from offense, never more than the gold it has left
+   * @returns {number} Gold taken
+   */
+  chargeWallBumpPenalty() {
+    const penalty = Math.min(this.getTuning('wallBumpPenalty'), this.gold);
+    this.gold -= penalty;
+    return penalty;
+  }
+
+  /**
+   * Under the surviveLastTile rule, offense wins when a unit that entered a tile
+   * is left standing, free, on the last column
+   * @param {Unit} unit 
+   * @param {Object} result - Result of resolving the tile the unit entered
+   * @returns {Object} The result, with effects.win set if offense won
+   */
+  checkLastTileWin(unit, result) {
+    if (!this.isLastTileRule() || this.gameOver || !result.success) return result;
+    if (!unit.alive || unit.trapped || unit.x !== this.board.maxColumn) return result;
+
+    this.gameOver = true;
+    this.winner = 'offense';
+    this.revealAllTiles();
+    this.logEvent(`${unit.type} survived the last tile! Offense wins!`, 'offense');
+    return { ...result, effects: { ...result.effects, win: true, sprinterStop: true } };
+  }
+
+  /**
+   * Get the moves a unit's ability allows from where it stands
+   * @param {Unit} unit 
+   * @returns {Array} Array of {dx, dy} offsets
+   */
+  getMovementOptions(unit) {
+    // Without an endzone to reach, nothing moves past the last column
+    const lastColumn = this.isLastTileRule() ? this.board.maxColumn : null;
+    return unit.getMovementOptions(this.config.totalPaths, lastColumn);
+  }
+
+  /**
+   * Resolve the effects of a unit entering the tile it now stands on
+   * @param {Unit} unit 
+   * @param {Tile} tile 
+   * @param {Object} direction - {dx, dy} the unit entered with
+   * @param {boolean} wasRevealed - Whether the tile was face up before the unit entered
+   * @returns {Object} { success: boolean, effects: Object } effects.resolved lists everything that
+   *   happened, in order
+   */
+  resolveTileEffects(unit, tile, direction, wasRevealed) {
+    const resolved = this.resolveEffects([{ type: 'enter', unit, tile, direction, wasRevealed }]);
+    return { success: true, effects: this.summarizeEffects(unit, resolved) };
+  }
+
+  /**
+   * Resolve queued effects in order, including everything they set off
+   * Entering a tile triggers it; a trigger may queue deaths, explosions, rockfalls or a slide onto another tile
+   * @param {Array} effects - e.g. { type: 'enter', unit, tile, direction, wasRevealed },
+   *   { type: 'kill', unit, cause, message }, { type: 'explode', x, y, source } or { type: 'rockfall', x, y, length }
+   * @returns {Array} Resolved effects in order, for the UI to animate step by step:
+   *   reveal, push, slide, trapped, freed, treasure, kill, explosion, rockfall and collapse
+   */
+  resolveEffects(effects) {
+    // Effects set off while a queue is running join it
+    if (this.effectQueue) {
+      this.effectQueue.push(...effects);
+      return [];
+    }
+
+    this.effectQueue = [...effects];
+    const resolved = [];
+
+    while (this.effectQueue.length > 0) {
+      const effect = this.effectQueue.shift();
+      switch (effect.type) {
+        case 'enter':
+          this.resolveEnter(effect, resolved);
+          break;
+        case 'kill':
+          this.resolveKill(effect, resolved);
+          break;
+        case 'explode':
+          this.resolveExplosion(effect, resolved);
+          break;
+        case 'rockfall':
+          this.resolveRockfall(effect, resolved);
+          break;
+      }
+    }
+
+    this.effectQueue = null;
+    return resolved;
+  }
+
+  /**
+   * Summarize resolved effects from the point of view of the unit that set them off
+   * @param {Unit} unit 
+   * @param {Array} resolved 
+   * @returns {Object} { killed, trapped, pushed, treasure, bomb, teleported, cageRelease, sprinterStop, slidePath, resolved }
+   */
+  summarizeEffects(unit, resolved) {
+    const own = resolved.filter(effect => effect.unitType === unit.type);
+    const push = own.find(effect => effect.type === 'push');
+    const slides = own.filter(effect => effect.type === 'slide');
+
+    const effects = {
+      killed: !unit.alive,
+      trapped: unit.trapped,
+      blocked: false,
+      pushed: push ? push.direction : null,
+      treasure: own.some(effect => effect.type === 'treasure'),
+      bomb: resolved.some(effect => effect.type === 'explosion'),
+      teleported: own.some(effect => effect.type === 'teleport'),
+      cageRelease: this.pendingChoice?.type === 'cageRelease',
+      resolved
+    };
+    // Anything but treasure ends a Move 2+ move (e.g. a Sprinter's)
+    effects.sprinterStop = effects.killed || effects.trapped || effects.bomb || !!effects.pushed || effects.teleported;
+
+    if (slides.length > 0) {
+      effects.slidePath = [slides[0].from, ...slides.map(slide => slide.to)];
+    }
+    return effects;
+  }
+
+  /**
+   * Trigger the tile a unit has entered
+   * @param {Object} effect - { unit, tile, direction, wasRevealed, teleported } teleported is set on arrival through a teleporter
+   * @param {Array} resolved 
+   */
+  resolveEnter({ unit, tile, direction, wasRevealed, teleported = false }, resolved) {
+    if (!unit.alive) return;
+
+    const unitType = unit.type;
+    const targetX = unit.x;
+    const targetY = unit.y;
     
     // Movement successful, mark tile as occupied
     this.board.setTileHasUnit(targetX, targetY, true);
     
     // Apply tile effects if not already revealed
-    const direction = { dx, dy };
-    const effects = wasRevealed ? { killed: false, trapped: false, blocked: false, pushed: null, treasure: false, bomb: false } : tile.applyEffect(unit, direction);
-    this.logEvent(`${unitType} moved to (${targetX}, ${targetY})`, 'offense');
-    
-    // Handle tile effects
+    // A cage holding a trapped unit stays face up, but entering it still springs the trap
+    const otherTrappedUnit = Object.values(this.units).find(u => 
+      u !== unit && u.alive && u.trapped && u.x === targetX && u.y === targetY
+    );
+    const occupiedCage = tile.type === TileType.CAGE_TRAP && !!otherTrappedUnit;
+    // Treasure revealed earlier (e.g. by a Scout) is collected by stepping onto it,
+    // and teleporters work face up too
+    if (wasRevealed && !occupiedCage && !tile.hasPendingTreasure() && !tile.isPaired()) return;
+
+    const effects = tile.applyEffect(unit, direction);
+
+    if (effects.bomb) {
+      // The blast kills the unit on the trap along with everything around it
+      this.effectQueue.push({ type: 'explode', x: targetX, y: targetY, source: 'Bomb Trap', radius: this.getTuning('bombTrapRadius') });
+      return;
+    }
+
+    if (effects.rockfall) {
+      // The unit that set it off is buried along with the rest of the segment
+      // (true takes the configured length, a number is a custom tile's own)
+      const length = effects.rockfall === true ? this.getTuning('rockfallLength') : effects.rockfall;
+      this.effectQueue.push({ type: 'rockfall', x: targetX, y: targetY, length });
+      return;
+    }
+
     if (effects.killed) {
-      this.logEvent(`${unitType} was killed by ${tile.type}!`, 'danger');
-      
-      // Check if Bomber - trigger Bomb 1 on death
-      if (unit.hasBombAbility()) {
-        this.triggerBombEffect(unit.x, unit.y, unitType);
-      }
-      
-      unit.kill();
-      this.board.setTileHasUnit(targetX, targetY, false);
-      return { success: true, effects: { ...effects, sprinterStop: true } };
+      this.effectQueue.push({ type: 'kill', unit, cause: tile.type, message: `${unitType} was killed by ${tile.type}!` });
+      return;
     }
 
     if (effects.trapped) {
-      // Check if there's already a trapped unit on this cage
-      const otherTrappedUnit = Object.values(this.units).find(u => 
-        u !== unit && u.alive && u.trapped && u.x === targetX && u.y === targetY
-      );
-      
+      unit.setTrapped(true);
+      resolved.push({ type: 'trapped', unitType, x: targetX, y: targetY });
+
       if (otherTrappedUnit) {
-        // New unit becomes trapped, free the old one
-        unit.setTrapped(true);
+        // New unit becomes trapped, the freed one has to step out to an adjacent tile
         otherTrappedUnit.setTrapped(false);
         this.logEvent(`${unitType} enters the cage, freeing ${otherTrappedUnit.type}!`, 'event');
-        // The freed unit should be moved to an adjacent tile (handled by player)
-        // For now, just free them
+        resolved.push({ type: 'freed', unitType: otherTrappedUnit.type, x: targetX, y: targetY });
+        this.beginCageRelease(otherTrappedUnit);
       } else {
-        unit.setTrapped(true);
         this.logEvent(`${unitType} is trapped in a cage!`, 'event');
       }
-      return { success: true, effects: { ...effects, sprinterStop: true } };
+      return;
     }
     
     if (effects.treasure) {
-      this.gold += 4;
+      const gold = this.getTuning('treasureGold');
+      this.gold += gold;
       tile.treasureCollected = true;
-      this.logEvent(`${unitType} found treasure! +4 gold`, 'event');
-      // Treasure does NOT stop Sprinter's second move
+      tile.treasurePending = false;
+      this.logEvent(`${unitType} found treasure! +${gold} gold`, 'event');
+      resolved.push({ type: 'treasure', unitType, x: targetX, y: targetY, gold });
     }
     
-    if (effects.bomb) {
-      // Bomb trap destroys current and adjacent tiles
-      const bombAnimData = this.triggerBombEffect(targetX, targetY, 'Bomb Trap');
-      return { success: true, effects: { ...effects, sprinterStop: true, bombAnimData } };
+    if (effects.teleport && !teleported) {
+      this.resolveTeleport(unit, tile, direction, resolved);
+      return;
     }
     
     if (effects.pushed) {
-      // Handle oil slick and pushback - these stop Sprinter
-      const newX = targetX + effects.pushed.dx;
-      const newY = targetY + effects.pushed.dy;
-      
-      if (this.board.isValidPosition(newX, newY)) {
-        const pushTile = this.board.getTile(newX, newY);
-        
-        // Check if pushed into wall
-        if (pushTile.type === TileType.WALL) {
-          if (tile.type === TileType.OIL_SLICK_TRAP) {
-            // Bounce back (reverse direction)
-            this.logEvent(`${unitType} slid into a wall and bounced back!`, 'event');
-          } else {
-            // Pushback into wall - stay on pushback tile
-            this.logEvent(`${unitType} was pushed back but hit a wall!`, 'event');
-          }
-        } else {
-          // Move to pushed position
-          this.board.setTileHasUnit(targetX, targetY, false);
-          unit.moveTo(newX, newY);
-          this.board.setTileHasUnit(newX, newY, true);
-          pushTile.reveal();
-          
-          if (tile.type === TileType.OIL_SLICK_TRAP) {
-            this.logEvent(`${unitType} slid on oil to (${newX}, ${newY})!`, 'event');
-          } else {
-            this.logEvent(`${unitType} was pushed back to (${newX}, ${newY})!`, 'event');
-          }
-          
-          // Apply effects of the new tile
-          const pushEffects = pushTile.applyEffect(unit, effects.pushed);
-          if (pushEffects.killed) {
-            this.logEvent(`${unitType} was killed by ${pushTile.type}!`, 'danger');
-            unit.kill();
-            this.board.setTileHasUnit(newX, newY, false);
-          }
+      // Oil slick and pushback move the unit on
+      resolved.push({ type: 'push', unitType, x: targetX, y: targetY, tileType: tile.type, direction: effects.pushed });
+      this.resolveSlide(unit, tile, effects.pushed, resolved);
+    }
+  }
+
+  /**
+   * Move a unit that entered a teleporter to the other end of its pair
+   * The far end is revealed as the unit arrives and entered as if stepped onto, without teleporting back
+   * @param {Unit} unit 
+   * @param {Tile} tile - The teleporter the unit entered
+   * @param {Object} direction - {dx, dy} the unit entered in
+   * @param {Array} resolved 
+   */
+  resolveTeleport(unit, tile, direction, resolved) {
+    const unitType = unit.type;
+    const partner = this.board.getLinkedTile(tile);
+
+    if (!partner) {
+      this.logEvent(`The teleporter at (${tile.x}, ${tile.y}) has no partner yet`, 'event');
+      return;
+    }
+
+    if (!this.canEnterTile(unit, partner.x, partner.y)) {
+      this.logEvent(`${unitType} couldn't teleport - the other end is occupied!`, 'event');
+      return;
+    }
+
+    const from = { x: unit.x, y: unit.y };
+    this.board.setTileHasUnit(unit.x, unit.y, false);
+    unit.moveTo(partner.x, partner.y);
+    const wasRevealed = partner.revealed;
+    this.revealDuringEffects(partner, resolved);
+    resolved.push({ type: 'teleport', unitType, from, to: { x: partner.x, y: partner.y } });
+    this.logEvent(`${unitType} teleported to (${partner.x}, ${partner.y})!`, 'event');
+
+    this.effectQueue.push({ type: 'enter', unit, tile: partner, direction, wasRevealed, teleported: true });
+  }
+
+  /**
+   * Resolve a unit being moved on by an oil slick or pushback tile
+   * Oil keeps the unit sliding the same way, even when face up, and a wall bounces it back the
+   * way it came; the first other tile reached is queued to be entered as if the unit had stepped there
+   * @param {Unit} unit 
+   * @param {Tile} tile - The oil slick or pushback tile the unit is on
+   * @param {Object} direction - {dx, dy} the unit is moved in
+   * @param {Array} resolved 
+   */
+  resolveSlide(unit, tile, direction, resolved) {
+    const unitType = unit.type;
+    const visited = new Set();
+    let current = tile;
+    // Slides go one tile at a time, even after a Jumper's two-tile jump
+    let dx = Math.sign(direction.dx);
+    let dy = Math.sign(direction.dy);
+
+    while (true) {
+      const state = `${unit.x},${unit.y},${dx},${dy}`;
+      if (visited.has(state)) {
+        this.logEvent(`${unitType} slid in circles and came to a stop!`, 'event');
+        break;
+      }
+      visited.add(state);
+
+      const nextX = unit.x + dx;
+      const nextY = unit.y + dy;
+      const next = this.board.getTile(nextX, nextY);
+      const sliding = current.type === TileType.OIL_SLICK_TRAP;
+
+      if (!next) {
+        this.logEvent(`${unitType} couldn't ${sliding ? 'slide' : 'be pushed'} further!`, 'event');
+        break;
+      }
+
+      // One-way arrows pointing against the slide stop it like walls
+      if (next.blocksMovement() || next.blocksEntry({ dx, dy })) {
+        this.revealDuringEffects(next, resolved);
+        const obstacle = next.blocksMovement() ? 'a wall' : 'a one-way arrow';
+        if (!sliding) {
+          this.logEvent(`${unitType} was pushed back but hit ${obstacle}!`, 'event');
+          break;
         }
-      } else {
-        // No tile to push to, stay in place
-        this.logEvent(`${unitType} couldn't be pushed further!`, 'event');
+        this.logEvent(`${unitType} slid into ${obstacle} and bounced back!`, 'event');
+        dx = -dx;
+        dy = -dy;
+        continue;
+      }
+
+      if (!this.canEnterTile(unit, nextX, nextY)) {
+        this.logEvent(`${unitType} bumped into another unit and stopped!`, 'event');
+        break;
+      }
+
+      // Move onto the next tile
+      const from = { x: unit.x, y: unit.y };
+      this.board.setTileHasUnit(unit.x, unit.y, false);
+      unit.moveTo(nextX, nextY);
+      const wasRevealed = next.revealed;
+      this.revealDuringEffects(next, resolved);
+      resolved.push({ type: 'slide', unitType, from, to: { x: nextX, y: nextY }, tileType: current.type });
+      this.logEvent(sliding
+        ? `${unitType} slid on oil to (${nextX}, ${nextY})!`
+        : `${unitType} was pushed back to (${nextX}, ${nextY})!`, 'event');
+
+      // Oil keeps the unit going unless it has been disarmed
+      if (next.type === TileType.OIL_SLICK_TRAP && !next.disarmed) {
+        this.board.setTileHasUnit(nextX, nextY, true);
+        current = next;
+        continue;
       }
-      return { success: true, effects: { ...effects, sprinterStop: true } };
+
+      // Any other tile is entered normally (a face-down pushback starts a push of its own)
+      this.effectQueue.push({ type: 'enter', unit, tile: next, direction: { dx, dy }, wasRevealed });
+      return;
+    }
+
+    this.board.setTileHasUnit(unit.x, unit.y, true);
+  }
+
+  /**
+   * Flip a tile face up while effects resolve, noting it so the flip can be animated
+   * @param {Tile} tile 
+   * @param {Array} resolved 
+   */
+  revealDuringEffects(tile, resolved) {
+    if (tile.revealed) return;
+    tile.reveal();
+    resolved.push({ type: 'reveal', x: tile.x, y: tile.y, tileType: tile.type });
+  }
+
+  /**
+   * Kill a unit; a Bomber explodes where it died
+   * @param {Object} effect - { unit, cause, message }
+   * @param {Array} resolved 
+   */
+  resolveKill({ unit, cause, message }, resolved) {
+    if (!unit.alive) return;
+
+    const death = this.killUnit(unit, cause, message, resolved);
+    if (unit.hasBombAbility()) {
+      this.effectQueue.push({ type: 'explode', x: death.x, y: death.y, source: unit.type, radius: unit.getBombRadius() });
+    }
+  }
+
+  /**
+   * Remove a unit from the board
+   * @param {Unit} unit 
+   * @param {string} cause - Tile type, 'explosion' or 'crushed'
+   * @param {string} message - Log message
+   * @param {Array} resolved 
+   * @returns {Object} {x, y} where the unit died
+   */
+  killUnit(unit, cause, message, resolved) {
+    const death = { x: unit.x, y: unit.y };
+    this.logEvent(message, 'danger');
+    unit.kill();
+
+    // A cage still holding another unit stays occupied
+    const stillOccupied = this.getAliveUnits().some(u => u.x === death.x && u.y === death.y);
+    if (this.board.isValidPosition(death.x, death.y)) {
+      this.board.setTileHasUnit(death.x, death.y, stillOccupied);
     }
 
-    return { success: true, effects };
+    resolved.push({ type: 'kill', unitType: unit.type, x: death.x, y: death.y, cause });
+    return death;
   }
 
   /**
-   * Move a Sprinter unit (Move 2 - sequential moves)
+   * Move a unit toward a target using its movement ability
+   * Units with Move 2 or more (e.g. Sprinters) step one tile at a time in the direction of the target
    * @param {string} unitType 
-   * @param {number} directionX - Direction X (-1, 0, 1)
-   * @param {number} directionY - Direction Y (0 or 1)
-   * @returns {Object}
+   * @param {number} targetX 
+   * @param {number} targetY 
+   * @returns {Object} { success: boolean, error: string, effects: Object }
    */
-  moveSprinter(unitType, directionX, directionY) {
+  performMove(unitType, targetX, targetY) {
     const unit = this.units[unitType];
-    if (!unit || !unit.alive || unit.type !== 'sprinter') {
-      return { success: false, error: 'Invalid sprinter unit' };
+    if (!unit) {
+      return { success: false, error: 'Invalid unit type' };
+    }
+
+    let result;
+    if (unit.hasMultiStepMove() && !unit.isJumpMove(targetX - unit.x, targetY - unit.y)) {
+      const dirX = Math.sign(targetX - unit.x);
+      const dirY = Math.sign(targetY - unit.y);
+      result = this.moveMultiStep(unitType, dirX, dirY);
+    } else {
+      result = this.moveUnit(unitType, targetX, targetY);
+    }
+
+    // Wall bumps cost gold, so they are part of the game record too
+    if (result.success || result.goldLost) {
+      this.recordAction({ type: 'move', unitType, x: targetX, y: targetY });
+    }
+
+    // A unit with Reveal (Scout) that survives its move may reveal adjacent tiles
+    if (result.success && unit.hasRevealAbility() && unit.alive && !unit.trapped &&
+        !this.pendingChoice && !this.isGameOver()) {
+      this.beginScoutReveal(unit, unit.getRevealCount());
     }
+    return result;
+  }
+
+  /**
+   * Offer a Scout the adjacent hidden tiles it can reveal
+   * @param {Unit} unit - The Scout that just moved
+   * @param {number} remaining - Reveals left this move (Reveal N)
+   */
+  beginScoutReveal(unit, remaining) {
+    const directions = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+    const options = directions
+      .map(({ dx, dy }) => ({ x: unit.x + dx, y: unit.y + dy }))
+      .filter(({ x, y }) => {
+        const tile = this.board.getTile(x, y);
+        return tile && !tile.revealed;
+      });
+
+    if (options.length === 0) return;
+
+    this.pendingChoice = { type: 'scoutReveal', unitType: unit.type, x: unit.x, y: unit.y, options, remaining };
+    this.logEvent(`${unit.type}: select an adjacent tile to reveal, or skip`, 'offense');
+  }
 
-    // Calculate first target position
-    const firstTargetX = unit.x + directionX;
-    const firstTargetY = unit.y + directionY;
+  /**
+   * Get valid move positions for a unit
+   * @param {string} unitType 
+   * @returns {Array} Array of {x, y} positions
+   */
+  getValidMoves(unitType) {
+    const unit = this.units[unitType];
+    if (!unit || !unit.alive || unit.trapped) return [];
 
-    // Execute first move
-    const firstMove = this.moveUnit(unitType, firstTargetX, firstTargetY, false);
+    const moves = [];
+    const options = this.getMovementOptions(unit);
+    const currentTile = this.board.getTile(unit.x, unit.y);
     
-    // If first move failed or had stopping effects, return
-    if (!firstMove.success || firstMove.effects?.sprinterStop) {
-      return firstMove;
+    for (const move of options) {
+      const targetX = unit.x + move.dx;
+      const targetY = unit.y + move.dy;
+
+      // Face-up one-way arrows are known: leave them only the way they point
+      if (currentTile && currentTile.revealed && !currentTile.allowsExit(move)) continue;
+
+      // Check if moving to defense endzone (single spot, any y from last column can reach it)
+      if (this.board.isDefenseEndzone(targetX)) {
+        // Only add defense endzone once, at a normalized position
+        const defenseEndzonePos = { x: targetX, y: Math.floor(this.config.totalPaths / 2) };
+        if (!moves.some(m => this.board.isDefenseEndzone(m.x))) {
+          moves.push(defenseEndzonePos);
+        }
+        continue;
+      }
+
+      // Check if position is valid board tile
+      const tile = this.board.getTile(targetX, targetY);
+      if (tile) {
+        // Don't check for walls - let unit attempt move and discover on reveal
+        // ... but a face-up arrow pointing against the move can't be entered
+        if (tile.revealed && tile.blocksEntry(move)) continue;
+        // Occupied tiles are blocked unless they are cages that can be entered to free a unit
+        if (this.canEnterTile(unit, targetX, targetY)) {
+          moves.push({ x: targetX, y: targetY });
+        }
+      }
     }
 
-    // If unit died, don't try second move
-    if (!unit.alive) {
-      return firstMove;
+    return moves;
+  }
+
+  /**
+   * Ask offense where a unit freed from a cage steps out to
+   * The unit is crushed if no adjacent tile is available
+   * @param {Unit} unit - The freed unit
+   */
+  beginCageRelease(unit) {
+    const options = this.getCageReleaseOptions(unit);
+    if (options.length === 0) {
+      this.crushFreedUnit(unit);
+      return;
     }
 
-    // Calculate second target position (continue in same direction)
-    const secondTargetX = unit.x + directionX;
-    const secondTargetY = unit.y + directionY;
+    this.pendingChoice = { type: 'cageRelease', unitType: unit.type, x: unit.x, y: unit.y, options };
+    this.logEvent(`Choose a tile for ${unit.type} to step out to`, 'offense');
+  }
+
+  /**
+   * Get the tiles a freed unit can step out to
+   * Walls already known are skipped; hidden walls are found by trying them
+   * @param {Unit} unit 
+   * @returns {Array} Array of {x, y} positions
+   */
+  getCageReleaseOptions(unit) {
+    const directions = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+    const options = [];
+
+    for (const { dx, dy } of directions) {
+      const x = unit.x + dx;
+      const y = unit.y + dy;
+      const tile = this.board.getTile(x, y);
+      if (!tile || (tile.revealed && (tile.blocksMovement() || tile.blocksEntry({ dx, dy })))) continue;
+
+      if (this.canEnterTile(unit, x, y)) {
+        options.push({ x, y });
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Move the unit waiting to leave a cage to the chosen adjacent tile
+   * Walls are dead ends: the wall is revealed and another tile must be chosen
+   * @param {number} targetX 
+   * @param {number} targetY 
+   * @returns {Object} { success: boolean, error: string, effects: Object }
+   */
+  resolveCageRelease(targetX, targetY) {
+    const choice = this.pendingChoice;
+    if (!choice || choice.type !== 'cageRelease') {
+      return { success: false, error: 'No unit is waiting to leave a cage' };
+    }
+
+    if (!choice.options.some(option => option.x === targetX && option.y === targetY)) {
+      return { success: false, error: 'Invalid release position' };
+    }
+
+    const unit = this.units[choice.unitType];
+    this.recordAction({ type: 'cageRelease', unitType: unit.type, x: targetX, y: targetY });
+
+    const tile = this.board.getTile(targetX, targetY);
+    const wasRevealed = tile.revealed;
+    const direction = { dx: targetX - unit.x, dy: targetY - unit.y };
+    tile.reveal();
+
+    if (tile.blocksMovement() || tile.blocksEntry(direction)) {
+      const obstacle = tile.blocksMovement() ? 'a wall' : 'a one-way arrow pointing the other way';
+      this.logEvent(`${unit.type} found ${obstacle} at (${targetX}, ${targetY}) - dead end!`, 'event');
+      choice.options = choice.options.filter(option => option.x !== targetX || option.y !== targetY);
+      let resolved = [];
+      if (choice.options.length === 0) {
+        this.pendingChoice = null;
+        resolved = this.crushFreedUnit(unit);
+      }
+      return { success: true, effects: { blocked: true, resolved } };
+    }
+
+    this.pendingChoice = null;
+    unit.moveTo(targetX, targetY);
+    this.logEvent(`${unit.type} stepped out of the cage to (${targetX}, ${targetY})`, 'offense');
+
+    return this.checkLastTileWin(unit, this.resolveTileEffects(unit, tile, direction, wasRevealed));
+  }
+
+  /**
+   * Kill a freed unit that has nowhere to step out to
+   * @param {Unit} unit 
+   * @returns {Array} Resolved effects (empty if the kill joined a running queue)
+   */
+  crushFreedUnit(unit) {
+    // The cage still holds the unit that freed it, so the tile stays occupied
+    return this.resolveEffects([
+      { type: 'kill', unit, cause: 'crushed', message: `${unit.type} had nowhere to go and was killed!` }
+    ]);
+  }
+
+  /**
+   * Move a unit with Move 2 or more (e.g. a Sprinter) one tile at a time
+   * The first step pays for the move; each further step is taken unless the last one
+   * stopped the unit (trap, slide, wall, win) or there is nowhere left to step
+   * @param {string} unitType 
+   * @param {number} directionX - Direction X (-1, 0, 1)
+   * @param {number} directionY - Direction Y (-1, 0, 1)
+   * @returns {Object}
+   */
+  moveMultiStep(unitType, directionX, directionY) {
+    const unit = this.units[unitType];
+    if (!unit || !unit.alive || !unit.hasMultiStepMove()) {
+      return { success: false, error: 'Unit cannot move more than one tile' };
+    }
 
-    // Execute second move (no cost)
-    const secondMove = this.moveUnit(unitType, secondTargetX, secondTargetY, true);
+    const steps = [this.moveUnit(unitType, unit.x + directionX, unit.y + directionY, false)];
+    let last = steps[0];
+
+    while (steps.length < unit.getMoveRange() && last.success && !last.effects?.sprinterStop && unit.alive) {
+      const step = this.moveUnit(unitType, unit.x + directionX, unit.y + directionY, true);
+      // Next step not possible (board edge or another unit) - the unit stops where it is
+      if (!step.success && !step.goldLost) break;
+      steps.push(step);
+      last = step;
+    }
+
+    if (steps.length === 1) {
+      return last;
+    }
     
-    // Combine effects from both moves
+    // Combine effects from every step
     return {
-      success: secondMove.success,
-      error: secondMove.error,
+      success: last.success,
+      error: last.error,
+      goldLost: last.goldLost,
       effects: {
-        ...secondMove.effects,
-        firstMove: firstMove.effects,
-        secondMove: secondMove.effects
+        ...last.effects,
+        steps: steps.map(step => step.effects),
+        resolved: steps.flatMap(step => step.effects?.resolved || [])
       }
     };
   }
 
   /**
    * Reveal an adjacent tile (Scout ability)
+   * Revealed traps are disarmed, then the tile type's onReveal hook runs (treasure waits for a unit to step on it)
    * @param {string} unitType 
    * @param {number} targetX 
    * @param {number} targetY 
    * @returns {Object}
    */
   revealAdjacentTile(unitType, targetX, targetY) {
-    const unit = this.units[unitType];
-    if (!unit || !unit.alive || !unit.hasRevealAbility()) {
-      return { success: false, error: 'Unit cannot reveal tiles' };
+    const choice = this.pendingChoice;
+    if (choice?.type !== 'scoutReveal' || choice.unitType !== unitType) {
+      return { success: false, error: 'Unit cannot reveal tiles now' };
     }
 
-    // Check if target is adjacent
-    const dx = Math.abs(targetX - unit.x);
-    const dy = Math.abs(targetY - unit.y);
-    const isAdjacent = (dx === 1 && dy === 0) || (dx === 0 && dy === 1);
-    
-    if (!isAdjacent) {
-      return { success: false, error: 'Tile must be adjacent' };
+    if (!choice.options.some(option => option.x === targetX && option.y === targetY)) {
+      return { success: false, error: 'Tile must be adjacent and hidden' };
     }
 
-    if (!this.board.isValidPosition(targetX, targetY)) {
-      return { success: false, error: 'Invalid position' };
+    const tile = this.board.getTile(targetX, targetY);
+    this.pendingChoice = null;
+    tile.reveal();
+    this.logEvent(`${unitType} revealed ${tile.type} at (${targetX}, ${targetY})`, 'offense');
+    this.recordAction({ type: 'scoutReveal', unitType, x: targetX, y: targetY });
+
+    if (tile.isTrap()) {
+      tile.disarmed = true;
+      this.logEvent(`${tile.type} disarmed`, 'event');
     }
 
-    const tile = this.board.getTile(targetX, targetY);
-    if (tile.revealed) {
-      return { success: false, error: 'Tile already revealed' };
+    const onReveal = tile.getDefinition()?.onReveal;
+    const message = onReveal && onReveal(tile);
+    if (message) {
+      this.logEvent(message, 'event');
     }
 
-    tile.reveal();
-    this.logEvent(`Scout revealed ${tile.type} at (${targetX}, ${targetY})`, 'offense');
+    // Reveal 2 or more offers the next tile straight away
+    if (choice.remaining > 1) {
+      this.beginScoutReveal(this.units[unitType], choice.remaining - 1);
+    }
 
-    // Disarm traps (except treasure which still needs collection)
-    if (tile.type !== TileType.TREASURE) {
-      // Mark tile as disarmed by setting it to blank
-      // Actually, per manual: "disarm traps" - we just reveal them, don't change type
-      this.logEvent(`Trap disarmed!`, 'event');
+    return { success: true, tileType: tile.type, disarmed: tile.disarmed };
+  }
+
+  /**
+   * Pass on a Scout's reveal
+   * @param {string} unitType 
+   * @returns {Object}
+   */
+  skipScoutReveal(unitType) {
+    const choice = this.pendingChoice;
+    if (choice?.type !== 'scoutReveal' || choice.unitType !== unitType) {
+      return { success: false, error: 'No reveal to skip' };
     }
 
-    return { success: true, tileType: tile.type };
+    this.pendingChoice = null;
+    this.logEvent(`${unitType} skipped its reveal`, 'offense');
+    this.recordAction({ type: 'skipReveal', unitType });
+    return { success: true };
   }
 
   /**
-   * Trigger bomb effect at a position (Bomber death or Bomb Trap)
-   * @param {number} x 
-   * @param {number} y 
-   * @param {string} source - Description of what triggered the bomb
+   * Resolve an explosion (Bomber death or Bomb Trap) and any chain reaction it sets off
+   * @param {Object} effect - { x, y, source, radius } source describes what exploded
+   * @param {Array} resolved 
    */
-  triggerBombEffect(x, y, source = 'Bomb') {
-    this.logEvent(`${source} exploded at (${x}, ${y})!`, 'danger');
-    
-    // Get all positions affected by bomb (center + 4 adjacent)
-    const affectedPositions = [
-      { x, y }, // Center
-      { x: x + 1, y: y },
-      { x: x - 1, y: y },
-      { x: x, y: y + 1 },
-      { x: x, y: y - 1 }
-    ].filter(pos => this.board.isValidPosition(pos.x, pos.y));
-    
-    // Kill any units on affected tiles
-    Object.values(this.units).forEach(u => {
-      if (u.alive) {
-        const onAffectedTile = affectedPositions.some(pos => u.x === pos.x && u.y === pos.y);
-        
-        if (onAffectedTile) {
-          this.logEvent(`${u.type} was killed by the explosion!`, 'danger');
-          
-          // Check if this killed unit is also a Bomber - chain reaction!
-          if (u.hasBombAbility() && (u.x !== x || u.y !== y)) {
-            // Chain reaction - but don't infinite loop
-            this.triggerBombEffect(u.x, u.y, u.type);
-          }
-          
-          u.kill();
-          if (this.board.isValidPosition(u.x, u.y)) {
-            this.board.setTileHasUnit(u.x, u.y, false);
-          }
+  resolveExplosion({ x, y, source, radius }, resolved) {
+    this.destroyArea({ type: 'explosion', x, y, source, positions: this.getBlastPositions(x, y, radius) }, resolved);
+  }
+
+  /**
+   * Resolve a rockfall: the ceiling caves in on the tile and the next length tiles along its row
+   * @param {Object} effect - { x, y, length }
+   * @param {Array} resolved 
+   */
+  resolveRockfall({ x, y, length }, resolved) {
+    const positions = [];
+    for (let i = 0; i <= length; i++) {
+      positions.push({ x: x + i, y });
+    }
+    this.destroyArea({ type: 'rockfall', x, y, source: 'Rockfall', positions }, resolved);
+  }
+
+  /**
+   * Destroy an area of the board, killing the units caught in it
+   * Every Bomber caught explodes in turn; the destroyed tiles are removed together
+   * once the chain is over and the remaining tiles shift left to fill the gaps
+   * @param {Object} area - { type: 'explosion' | 'rockfall', x, y, source, positions }
+   * @param {Array} resolved 
+   */
+  destroyArea(area, resolved) {
+    const areas = [area];
+    const destroyed = [];
+    const samePosition = (a, b) => a.x === b.x && a.y === b.y;
+
+    for (let i = 0; i < areas.length; i++) {
+      const current = areas[i];
+      const explosion = current.type === 'explosion';
+      this.logEvent(explosion
+        ? `${current.source} exploded at (${current.x}, ${current.y})!`
+        : `The ceiling caved in at (${current.x}, ${current.y})!`, 'danger');
+
+      const affectedPositions = current.positions.filter(pos => this.board.isValidPosition(pos.x, pos.y));
+
+      resolved.push({ type: current.type, x: current.x, y: current.y, source: current.source, affectedPositions });
+      affectedPositions
+        .filter(pos => !destroyed.some(other => samePosition(pos, other)))
+        .forEach(pos => destroyed.push(pos));
+
+      // Units caught in the area die; Bombers among them explode next
+      Object.values(this.units).forEach(u => {
+        if (!u.alive || !affectedPositions.some(pos => samePosition(pos, u))) return;
+
+        const death = explosion
+          ? this.killUnit(u, 'explosion', `${u.type} was killed by the explosion!`, resolved)
+          : this.killUnit(u, TileType.ROCKFALL, `${u.type} was buried by the rockfall!`, resolved);
+        if (u.hasBombAbility()) {
+          const positions = this.getBlastPositions(death.x, death.y, u.getBombRadius());
+          areas.push({ type: 'explosion', x: death.x, y: death.y, source: u.type, positions });
         }
-      }
-    });
-    
-    // Destroy tiles (center + adjacent)
-    this.board.destroyTiles(affectedPositions);
-    this.logEvent(`${affectedPositions.length} tiles destroyed by explosion`, 'event');
+      });
+    }
     
-    // Shift remaining tiles left
+    // Destroy tiles, then shift remaining tiles left
+    const destroyedTiles = this.board.destroyTiles(destroyed);
+    this.logEvent(`${destroyed.length} tiles destroyed by ${area.type}`, 'event');
     const positionMap = this.board.shiftTilesLeft();
     
     // Update unit positions based on shift
     Object.values(this.units).forEach(u => {
       if (u.alive) {
-        const oldKey = `${u.x},${u.y}`;
-        const newPos = positionMap.get(oldKey);
+        const newPos = positionMap.get(`${u.x},${u.y}`);
         if (newPos) {
           u.x = newPos.x;
           u.y = newPos.y;
@@ -524,13 +1130,49 @@ export class GameState {
     });
     
     this.logEvent('Tiles shifted left to fill gaps', 'event');
-    
-    // Return animation data
-    return {
-      explosionCenter: { x, y },
-      affectedPositions,
-      positionMap
+    this.disableBrokenPairs(destroyedTiles);
+    resolved.push({ type: 'collapse', destroyedPositions: destroyed, positionMap });
+  }
+
+  /**
+   * Disable the surviving end of every pair that lost a tile
+   * @param {Array} destroyedTiles - From Board.destroyTiles
+   */
+  disableBrokenPairs(destroyedTiles) {
+    for (const { tile } of destroyedTiles) {
+      const partner = tile.isPaired() ? this.board.getLinkedTile(tile) : null;
+      if (partner && !partner.disarmed) {
+        partner.disarmed = true;
+        this.logEvent(`The teleporter at (${partner.x}, ${partner.y}) lost its partner and stopped working`, 'event');
+      }
+    }
+  }
+
+  /**
+   * Get the positions a blast reaches: the center and the tiles around it within radius steps,
+   * in the config's blast shape
+   * @param {number} x 
+   * @param {number} y 
+   * @param {number} radius 
+   * @returns {Array} Array of {x, y} positions (may be off the board)
+   */
+  getBlastPositions(x, y, radius) {
+    const shape = this.getTuning('blastShape');
+    const inBlast = (dx, dy) => {
+      if (shape === BlastShape.SQUARE) return true;
+      if (shape === BlastShape.CROSS) return dx === 0 || dy === 0;
+      return Math.abs(dx) + Math.abs(dy) <= radius;
     };
+
+    const positions = [{ x, y }];
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        if ((dx !== 0 || dy !== 0) && inBlast(dx, dy)) {
+          positions.push({ x: x + dx, y: y + dy });
+        }
+      }
+    }
+    return positions;
   }
 
   /**
@@ -547,12 +1189,81 @@ export class GameState {
       }
     }
     
+    this.recordAction({ type: 'endTurn' });
+    
     // Start next turn
     this.turn++;
     this.phase = GamePhase.DEFENSE;
     this.logEvent(`=== Turn ${this.turn} ===`, 'event');
   }
 
+  /**
+   * Log and record a defense tile assignment to a row of the next column
+   * @param {number} row 
+   * @param {string} tileType 
+   * @param {string|null} replacedTile - Tile previously assigned to the row
+   * @param {string|null} orientation - Way the tile points, if it is oriented (one-way arrow)
+   */
+  recordAssignment(row, tileType, replacedTile = null, orientation = null) {
+    const nextColumn = this.board.maxColumn + 1;
+    const placed = orientation ? `${tileType} pointing ${orientation}` : tileType;
+    if (replacedTile) {
+      this.logEvent(`Replaced ${replacedTile} with ${placed} at (${nextColumn}, ${row})`, 'defense');
+    } else {
+      this.logEvent(`Placed ${placed} at (${nextColumn}, ${row})`, 'defense');
+    }
+    this.recordAction({ type: 'assign', row, tileType, replacedTile, orientation });
+  }
+
+  /**
+   * Log and record removing a defense tile assignment from a row
+   * @param {number} row 
+   * @param {string} tileType 
+   */
+  recordUnassignment(row, tileType) {
+    this.logEvent(`Removed ${tileType} from row ${row}`, 'defense');
+    this.recordAction({ type: 'unassign', row, tileType });
+  }
+
+  /**
+   * Rebuild the tile assignments recorded since the last placed column
+   * @returns {Map} row -> tileType
+   */
+  getRecordedAssignments() {
+    const assignments = new Map();
+    for (const action of this.actions) {
+      if (action.type === 'assign') {
+        assignments.set(action.row, action.tileType);
+      } else if (action.type === 'unassign') {
+        assignments.delete(action.row);
+      } else if (action.type === 'placeColumn') {
+        assignments.clear();
+      }
+    }
+    return assignments;
+  }
+
+  /**
+   * Record an accepted player command
+   * @param {Object} action - Command in Engine.execute() format
+   */
+  recordAction(action) {
+    this.actions.push({ ...action, turn: this.turn });
+  }
+
+  /**
+   * Get the recording of this game (config, seed and every accepted command)
+   * @returns {Object}
+   */
+  getRecording() {
+    return {
+      version: RECORDING_VERSION,
+      config: JSON.parse(JSON.stringify(this.config)),
+      tileBagSeed: this.config.tileBagSeed,
+      actions: this.actions.map(action => ({ ...action }))
+    };
+  }
+
   /**
    * Log an event
    * @param {string} message 
@@ -585,6 +1296,59 @@ export class GameState {
     return Object.values(this.units).filter(u => u.alive);
   }
 
+  /**
+   * Check if this is a solo game (defense is played blind by the bag)
+   * @returns {boolean}
+   */
+  isSoloMode() {
+    return this.config.gameMode === GameMode.SOLO;
+  }
+
+  /**
+   * Get the side the computer plays in a game against the computer
+   * @returns {string|null} GamePhase value, or null if people play both sides
+   */
+  getComputerSide() {
+    return this.config.gameMode === GameMode.COMPUTER ? this.config.computerSide : null;
+  }
+
+  /**
+   * Get how well the computer plays in a game against the computer
+   * @returns {string} BotDifficulty value
+   */
+  getComputerDifficulty() {
+    // Games saved before difficulties existed play at the default
+    return this.config.computerDifficulty ?? DEFAULT_GAME_CONFIG.computerDifficulty;
+  }
+
+  /**
+   * Check if offense has to survive the last tile rather than reach the endzone
+   * @returns {boolean}
+   */
+  isLastTileRule() {
+    // Games saved before winRule existed used the endzone
+    return this.config.winRule === WinRule.SURVIVE_LAST_TILE;
+  }
+
+  /**
+   * Get a tile or income tuning value from the config
+   * @param {string} key - e.g. 'treasureGold'
+   * @returns {*}
+   */
+  getTuning(key) {
+    // Games saved before the value could be tuned use its default
+    return this.config[key] ?? DEFAULT_GAME_CONFIG[key];
+  }
+
+  /**
+   * Get the number of columns defense lays before offense's first turn
+   * @returns {number}
+   */
+  getOpeningColumns() {
+    // Games saved before startingColumns existed always opened with two columns
+    return this.config.startingColumns ?? 2;
+  }
+
   /**
    * Check if game is over
    * @returns {boolean}
@@ -624,7 +1388,92 @@ export class GameState {
     this.currentDraw = [];
     this.gameOver = false;
     this.winner = null;
+    this.pendingChoice = null;
     this.events = [];
+    this.actions = [];
     this.logEvent('Game started', 'event');
   }
+
+  /**
+   * Serialize the complete game as a versioned snapshot
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      config: JSON.parse(JSON.stringify(this.config)),
+      turn: this.turn,
+      phase: this.phase,
+      defenseTurnCount: this.defenseTurnCount,
+      firstCycle: this.firstCycle,
+      gold: this.gold,
+      currentDraw: [...this.currentDraw],
+      gameOver: this.gameOver,
+      winner: this.winner,
+      pendingChoice: this.pendingChoice ? JSON.parse(JSON.stringify(this.pendingChoice)) : null,
+      events: this.events.map(event => ({ ...event })),
+      actions: this.actions.map(action => ({ ...action })),
+      board: this.board.toJSON(),
+      tileBag: this.tileBag.toJSON(),
+      units: Object.fromEntries(
+        Object.entries(this.units).map(([type, unit]) => [type, unit.toJSON()])
+      )
+    };
+  }
+
+  /**
+   * Restore this game in place from a snapshot
+   * Keeps the same GameState instance so UI components holding it stay wired
+   * @param {Object} data - Snapshot from toJSON()
+   * @returns {Object} { success: boolean, error: string }
+   */
+  restore(data) {
+    if (!isSupportedSnapshot(data)) {
+      return { success: false, error: `Unsupported snapshot version: ${data?.version}` };
+    }
+
+    this.config = JSON.parse(JSON.stringify(data.config));
+    this.board = Board.fromJSON(data.board);
+    this.tileBag = TileBag.fromJSON(data.tileBag);
+    this.units = Object.fromEntries(
+      Object.entries(data.units).map(([type, unit]) => [type, Unit.fromJSON(unit)])
+    );
+    this.turn = data.turn;
+    this.phase = data.phase;
+    this.defenseTurnCount = data.defenseTurnCount;
+    this.firstCycle = data.firstCycle;
+    this.gold = data.gold;
+    this.currentDraw = [...data.currentDraw];
+    this.gameOver = data.gameOver;
+    this.winner = data.winner;
+    this.pendingChoice = data.pendingChoice ? JSON.parse(JSON.stringify(data.pendingChoice)) : null; // Added in v3
+    this.events = data.events.map(event => ({ ...event }));
+    this.actions = (data.actions || []).map(action => ({ ...action })); // v1 had no action log
+    
+    return { success: true };
+  }
+
+  /**
+   * Create a game from a snapshot
+   * @param {Object} data - Snapshot from toJSON()
+   * @returns {GameState}
+   */
+  static fromJSON(data) {
+    if (!isSupportedSnapshot(data)) {
+      throw new Error(`Unsupported snapshot version: ${data?.version}`);
+    }
+
+    const gameState = new GameState(data.config);
+    gameState.restore(data);
+    return gameState;
+  }
+}
+
+/**
+ * Check a snapshot was written by a format version this loader understands
+ * @param {Object} data 
+ * @returns {boolean}
+ */
+function isSupportedSnapshot(data) {
+  return Boolean(data) && data.version >= 1 && data.version <= SNAPSHOT_VERSION;
 }
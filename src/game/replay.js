@@ -0,0 +1,98 @@
+/**
+ * Deterministic replay of recorded games
+ */
+import { GameState, RECORDING_VERSION, OLDEST_REPLAYABLE_RECORDING_VERSION } from './gameState.js';
+import { Engine } from './engine.js';
+
+/**
+ * Re-execute a recording against a fresh game
+ * @param {Object} recording - Data from GameState.getRecording()
+ * @param {Function} onStep - Optional callback (index, action, result, gameState) after each action
+ * @returns {Object} { success: boolean, error: string, gameState: GameState, failedIndex: number }
+ */
+export function replayRecording(recording, onStep = null) {
+  const versionError = checkRecordingVersion(recording);
+  if (versionError) {
+    return { success: false, error: versionError };
+  }
+
+  const config = { ...recording.config, tileBagSeed: recording.tileBagSeed };
+  const engine = new Engine(new GameState(config));
+  engine.start();
+
+  for (let index = 0; index < recording.actions.length; index++) {
+    const action = recording.actions[index];
+    const result = engine.execute(action);
+
+    // A wall bump is a failed move that still changed the game
+    if (!result.success && !result.goldLost) {
+      return {
+        success: false,
+        error: `Action ${index} (${action.type}) failed: ${result.error}`,
+        gameState: engine.gameState,
+        failedIndex: index
+      };
+    }
+
+    if (onStep) {
+      onStep(index, action, result, engine.gameState);
+    }
+  }
+
+  return { success: true, gameState: engine.gameState };
+}
+
+/**
+ * Check a recording was written in a format version that still replays
+ * @param {Object} recording
+ * @returns {string|null} Why it can't be replayed, or null if it can
+ */
+function checkRecordingVersion(recording) {
+  const supported = `versions ${OLDEST_REPLAYABLE_RECORDING_VERSION} to ${RECORDING_VERSION}`;
+  if (!Number.isInteger(recording?.version)) {
+    return 'Not a recording: it has no format version';
+  }
+  if (recording.version > RECORDING_VERSION) {
+    return `Recording format version ${recording.version} is newer than this game replays (${supported}) - update the game to replay it`;
+  }
+  if (recording.version < OLDEST_REPLAYABLE_RECORDING_VERSION) {
+    return `Recording format version ${recording.version} is too old: the rules have changed since it was made (this game replays ${supported})`;
+  }
+  return null;
+}
+
+/**
+ * Describe a recorded action for display
+ * @param {Object} action 
+ * @returns {string}
+ */
+export function describeAction(action) {
+  switch (action.type) {
+    case 'assign':
+      return action.orientation
+        ? `Assign ${action.tileType} pointing ${action.orientation} to row ${action.row}`
+        : `Assign ${action.tileType} to row ${action.row}`;
+    case 'unassign':
+      return `Remove ${action.tileType} from row ${action.row}`;
+    case 'placeColumn': {
+      const tiles = action.tiles.map((tile, row) =>
+        action.orientations?.[row] ? `${tile} (${action.orientations[row]})` : tile
+      );
+      return `Place column: ${tiles.join(', ')}`;
+    }
+    case 'spawn':
+      return `Spawn ${action.unitType} at row ${action.row}`;
+    case 'move':
+      return `Move ${action.unitType} to (${action.x}, ${action.y})`;
+    case 'cageRelease':
+      return `Release ${action.unitType} from cage to (${action.x}, ${action.y})`;
+    case 'scoutReveal':
+      return `${action.unitType} reveals (${action.x}, ${action.y})`;
+    case 'skipReveal':
+      return `${action.unitType} skips its reveal`;
+    case 'endTurn':
+      return 'End offense turn';
+    default:
+      return action.type;
+  }
+}
@@ -103,4 +103,31 @@ export class TileBag {
   getDrawOrder() {
     return [...this.drawnTiles];
   }
+
+  /**
+   * Serialize the bag, including the RNG position
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      seed: this.seed,
+      rngState: this.rng.seed,
+      originalCounts: { ...this.originalCounts },
+      remainingTiles: [...this.remainingTiles],
+      drawnTiles: [...this.drawnTiles]
+    };
+  }
+
+  /**
+   * Restore a bag from serialized data
+   * @param {Object} data 
+   * @returns {TileBag}
+   */
+  static fromJSON(data) {
+    const bag = new TileBag(data.originalCounts, data.seed);
+    bag.rng.seed = data.rngState;
+    bag.remainingTiles = [...data.remainingTiles];
+    bag.drawnTiles = [...data.drawnTiles];
+    return bag;
+  }
 }
@@ -0,0 +1,253 @@
+/**
+ * Tile type registry - every tile type is defined once here and picked up by the rules,
+ * the renderer, the HUD and config validation
+ * Imports nothing so the config module can depend on it without a cycle
+ */
+
+// Built-in tile types enum (custom tiles use the id they are registered with)
+export const TileType = {
+  BLANK: 'blank',
+  SPIKE_TRAP: 'spike_trap',
+  CAGE_TRAP: 'cage_trap',
+  OIL_SLICK_TRAP: 'oil_slick_trap',
+  PUSHBACK_TRAP: 'pushback_trap',
+  BOMB_TRAP: 'bomb_trap',
+  WALL: 'wall',
+  TREASURE: 'treasure',
+  TELEPORTER: 'teleporter',
+  ARROW: 'arrow',
+  ROCKFALL: 'rockfall'
+};
+
+// Directions an oriented tile (a one-way arrow) can point; right is toward the defense endzone
+export const Orientation = {
+  RIGHT: 'right',
+  DOWN: 'down',
+  LEFT: 'left',
+  UP: 'up'
+};
+
+// Orientation given to an oriented tile placed without one (e.g. a blind solo column)
+export const DEFAULT_ORIENTATION = Orientation.RIGHT;
+
+const ORIENTATION_VECTORS = {
+  [Orientation.RIGHT]: { dx: 1, dy: 0 },
+  [Orientation.DOWN]: { dx: 0, dy: 1 },
+  [Orientation.LEFT]: { dx: -1, dy: 0 },
+  [Orientation.UP]: { dx: 0, dy: -1 }
+};
+
+/**
+ * Get the {dx, dy} an orientation points in
+ * @param {string} orientation
+ * @returns {Object|null} null if the orientation isn't one of Orientation
+ */
+export function getOrientationVector(orientation) {
+  return ORIENTATION_VECTORS[orientation] || null;
+}
+
+/**
+ * Get the orientation a tile is placed with - oriented tiles default to DEFAULT_ORIENTATION, others have none
+ * @param {string} tileType
+ * @param {string|null} orientation - Orientation asked for
+ * @returns {string|null}
+ */
+export function getPlacedOrientation(tileType, orientation = null) {
+  return getTileDefinition(tileType)?.oriented ? (orientation || DEFAULT_ORIENTATION) : null;
+}
+
+const registry = new Map();
+
+/**
+ * Register a tile type
+ *
+ * A definition has:
+ * - id: string stored on tiles, in tile bags and in recordings
+ * - name: display name
+ * - image: file in img/ (optional - tiles without art draw color + symbol)
+ * - color, symbol: fallback rendering when the image isn't available
+ * - trap: true if a Scout revealing the tile disarms it
+ * - blocksMovement: true if a unit that reveals the tile is turned back (like a wall)
+ * - paired: true if the tile is placed in linked pairs (like teleporters) - the tile bag holds
+ *   an even number, each placed tile links to the oldest one still waiting for a partner, and
+ *   its effect works face up as well as face down
+ * - oriented: true if defense points the tile in an Orientation when placing it (like one-way
+ *   arrows) - units can't enter it moving against that direction, and leave it only that way
+ * - onEnter(tile, unit, direction): effects for a unit entering the face-down tile, any of
+ *   { killed, trapped, pushed: {dx, dy}, treasure, bomb, teleport, rockfall } where rockfall
+ *   buries the tile and the next N along its row (true: the game's rockfallLength)
+ * - onReveal(tile): called when a Scout reveals the tile; may return a message to log
+ * - keepRevealed(tile): true if the tile must stay face up when the board is hidden again
+ * @param {Object} definition
+ * @returns {Object} The registered definition
+ */
+export function registerTileType(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('Tile definition needs a string id');
+  }
+  if (registry.has(definition.id)) {
+    throw new Error(`Tile type already registered: ${definition.id}`);
+  }
+  if (definition.onEnter && typeof definition.onEnter !== 'function') {
+    throw new Error(`onEnter of ${definition.id} must be a function`);
+  }
+
+  const registered = Object.freeze({
+    name: definition.id,
+    image: null,
+    color: '#4a5568',
+    symbol: '?',
+    trap: false,
+    blocksMovement: false,
+    paired: false,
+    oriented: false,
+    onEnter: null,
+    onReveal: null,
+    keepRevealed: null,
+    ...definition
+  });
+  registry.set(registered.id, registered);
+  return registered;
+}
+
+/**
+ * Get the definition of a tile type
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getTileDefinition(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Check if a tile type has been registered
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isTileTypeRegistered(id) {
+  return registry.has(id);
+}
+
+/**
+ * Get every registered tile definition, built-ins first
+ * @returns {Array}
+ */
+export function getTileDefinitions() {
+  return Array.from(registry.values());
+}
+
+registerTileType({
+  id: TileType.BLANK,
+  name: 'Blank',
+  image: 'empty.png',
+  color: '#4a5568',
+  symbol: ''
+});
+
+registerTileType({
+  id: TileType.SPIKE_TRAP,
+  name: 'Spike Trap',
+  image: 'trap_spikes.png',
+  color: '#ef476f',
+  symbol: '▲',
+  trap: true,
+  onEnter: () => ({ killed: true })
+});
+
+registerTileType({
+  id: TileType.CAGE_TRAP,
+  name: 'Cage Trap',
+  image: 'trap_cage.png',
+  color: '#8b4513',
+  symbol: '⚿',
+  trap: true,
+  onEnter: () => ({ trapped: true })
+});
+
+registerTileType({
+  id: TileType.OIL_SLICK_TRAP,
+  name: 'Oil Slick Trap',
+  image: 'trap_oilslick.png',
+  color: '#2c1810',
+  symbol: '~',
+  trap: true,
+  // Unit continues moving in same direction
+  onEnter: (tile, unit, direction) => ({ pushed: { dx: direction.dx, dy: direction.dy } })
+});
+
+registerTileType({
+  id: TileType.PUSHBACK_TRAP,
+  name: 'Pushback Trap',
+  image: 'trap_pushback.png',
+  color: '#f97316',
+  symbol: '◄',
+  trap: true,
+  // Push unit back one tile (opposite direction)
+  onEnter: (tile, unit, direction) => ({ pushed: { dx: -direction.dx, dy: -direction.dy } })
+});
+
+registerTileType({
+  id: TileType.BOMB_TRAP,
+  name: 'Bomb Trap',
+  image: 'trap_bomb.png',
+  color: '#dc2626',
+  symbol: '💣',
+  trap: true,
+  // Unit on bomb trap dies in the blast
+  onEnter: () => ({ bomb: true, killed: true })
+});
+
+registerTileType({
+  id: TileType.WALL,
+  name: 'Wall',
+  image: 'wall.png',
+  color: '#6b7280',
+  symbol: '█',
+  blocksMovement: true,
+  onEnter: () => ({ blocked: true })
+});
+
+registerTileType({
+  id: TileType.TREASURE,
+  name: 'Treasure',
+  image: 'treasure.png',
+  color: '#fbbf24',
+  symbol: '💰',
+  onEnter: () => ({ treasure: true }),
+  // Revealed treasure waits for a unit to step on it
+  onReveal: (tile) => {
+    tile.treasurePending = true;
+    return 'Treasure found - move a unit onto it to collect';
+  },
+  keepRevealed: (tile) => tile.treasureCollected
+});
+
+registerTileType({
+  id: TileType.TELEPORTER,
+  name: 'Teleporter',
+  color: '#7c3aed',
+  symbol: '⊚',
+  paired: true,
+  // Unit is moved to the other end of the pair
+  onEnter: () => ({ teleport: true })
+});
+
+registerTileType({
+  id: TileType.ARROW,
+  name: 'One-Way Arrow',
+  color: '#0d9488',
+  // Drawn rotated to the way the tile points
+  symbol: '➜',
+  oriented: true
+});
+
+registerTileType({
+  id: TileType.ROCKFALL,
+  name: 'Rockfall',
+  color: '#78716c',
+  symbol: '⛰',
+  // A trap, so a Scout revealing it disarms it instead of setting it off
+  trap: true,
+  // The ceiling caves in on this tile and the next rockfallLength along the row
+  onEnter: () => ({ rockfall: true })
+});
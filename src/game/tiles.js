@@ -1,7 +1,7 @@
 /**
  * Tile definitions and behaviors
  */
-import { TileType } from '../utils/gameConfig.js';
+import { TileType, getTileDefinition, getOrientationVector } from './tileRegistry.js';
 
 export class Tile {
   constructor(type, x, y) {
@@ -11,6 +11,10 @@ export class Tile {
     this.revealed = false;
     this.hasUnit = false;
     this.treasureCollected = false; // Track if treasure was collected
+    this.treasurePending = false; // Treasure revealed with nobody on it - collected by stepping on it
+    this.disarmed = false; // Trap revealed by a Scout (or a teleporter that lost its partner) no longer affects units
+    this.linkId = null; // Pair this tile belongs to (teleporters)
+    this.orientation = null; // Way an oriented tile points (one-way arrows)
   }
 
   /**
@@ -20,21 +24,93 @@ export class Tile {
     this.revealed = true;
   }
 
+  /**
+   * Get this tile's registered definition
+   * @returns {Object|null}
+   */
+  getDefinition() {
+    return getTileDefinition(this.type);
+  }
+
   /**
    * Hide this tile (flip face-down)
    */
   hide() {
-    // Don't hide tiles with units or collected treasure
-    if (!this.hasUnit && !(this.type === TileType.TREASURE && this.treasureCollected)) {
+    // Don't hide tiles with units or tiles that stay face up (e.g. collected treasure)
+    const keepRevealed = this.getDefinition()?.keepRevealed;
+    if (!this.hasUnit && !(keepRevealed && keepRevealed(this))) {
       this.revealed = false;
     }
   }
 
+  /**
+   * Check if this is a trap that can be disarmed
+   * @returns {boolean}
+   */
+  isTrap() {
+    return !!this.getDefinition()?.trap;
+  }
+
+  /**
+   * Check if a unit revealing this tile is turned back (e.g. a wall)
+   * @returns {boolean}
+   */
+  blocksMovement() {
+    return !!this.getDefinition()?.blocksMovement;
+  }
+
+  /**
+   * Check if this tile is placed as one end of a linked pair (e.g. a teleporter)
+   * @returns {boolean}
+   */
+  isPaired() {
+    return !!this.getDefinition()?.paired;
+  }
+
+  /**
+   * Check if defense points this tile in a direction when placing it (e.g. a one-way arrow)
+   * @returns {boolean}
+   */
+  isOriented() {
+    return !!this.getDefinition()?.oriented;
+  }
+
+  /**
+   * Check if a unit moving in a direction is kept out of this tile (moving against a one-way arrow)
+   * Moving across the arrow is allowed
+   * @param {Object} direction - {dx, dy} the unit moves in
+   * @returns {boolean}
+   */
+  blocksEntry(direction) {
+    const arrow = this.isOriented() ? getOrientationVector(this.orientation) : null;
+    if (!arrow) return false;
+    return arrow.dx * Math.sign(direction.dx) + arrow.dy * Math.sign(direction.dy) < 0;
+  }
+
+  /**
+   * Check if a unit standing on this tile may leave it in a direction (only the way a one-way arrow points)
+   * @param {Object} direction - {dx, dy} the unit moves in
+   * @returns {boolean}
+   */
+  allowsExit(direction) {
+    const arrow = this.isOriented() ? getOrientationVector(this.orientation) : null;
+    if (!arrow) return true;
+    return Math.sign(direction.dx) === arrow.dx && Math.sign(direction.dy) === arrow.dy;
+  }
+
+  /**
+   * Check if this tile holds revealed treasure waiting to be collected
+   * @returns {boolean}
+   */
+  hasPendingTreasure() {
+    return this.type === TileType.TREASURE && this.treasurePending && !this.treasureCollected;
+  }
+
   /**
    * Apply tile effect to a unit
    * @param {Unit} unit 
    * @param {Object} direction - {dx, dy} for movement direction (for oil slick/pushback)
-   * @returns {Object} { killed: boolean, trapped: boolean, blocked: boolean, pushed: {dx, dy}, treasure: boolean, bomb: boolean }
+   * @returns {Object} { killed: boolean, trapped: boolean, blocked: boolean, pushed: {dx, dy}, treasure: boolean, bomb: boolean, teleport: boolean, rockfall: boolean|number }
    */
   applyEffect(unit, direction = {dx: 0, dy: 0}) {
     const result = {
@@ -43,65 +119,27 @@ export class Tile {
       blocked: false,
       pushed: null, // {dx, dy} if unit should be pushed
       treasure: false,
-      bomb: false // If bomb trap triggers
+      bomb: false, // If bomb trap triggers
+      teleport: false, // If the unit is moved to the other end of a pair
+      rockfall: 0 // Tiles after this one along the row buried by a rockfall (true: rockfallLength, 0: no rockfall)
     };
 
-    switch (this.type) {
-      case TileType.BLANK:
-        // No effect
-        break;
-        
-      case TileType.SPIKE_TRAP:
-        result.killed = true;
-        break;
-        
-      case TileType.CAGE_TRAP:
-        result.trapped = true;
-        break;
-        
-      case TileType.OIL_SLICK_TRAP:
-        // Unit continues moving in same direction
-        result.pushed = { dx: direction.dx, dy: direction.dy };
-        break;
-        
-      case TileType.PUSHBACK_TRAP:
-        // Push unit back one tile (opposite direction)
-        result.pushed = { dx: -direction.dx, dy: -direction.dy };
-        break;
-        
-      case TileType.BOMB_TRAP:
-        result.bomb = true;
-        result.killed = true; // Unit on bomb trap dies
-        break;
-        
-      case TileType.WALL:
-        result.blocked = true;
-        break;
-        
-      case TileType.TREASURE:
-        result.treasure = true;
-        break;
+    // Disarmed traps are harmless
+    if (this.disarmed) {
+      return result;
     }
 
-    return result;
+    const onEnter = this.getDefinition()?.onEnter;
+    return onEnter ? { ...result, ...onEnter(this, unit, direction) } : result;
   }
 
   /**
-   * Get tile image filename for rendering
-   * @returns {string}
+   * Get tile image name for rendering
+   * @returns {string|null} null if the tile type has no art
    */
   getImageName() {
-    const images = {
-      [TileType.BLANK]: 'empty.png',
-      [TileType.SPIKE_TRAP]: 'trap_spikes.png',
-      [TileType.CAGE_TRAP]: 'trap_cage.png',
-      [TileType.OIL_SLICK_TRAP]: 'trap_oilslick.png',
-      [TileType.PUSHBACK_TRAP]: 'trap_pushback.png',
-      [TileType.BOMB_TRAP]: 'trap_bomb.png',
-      [TileType.WALL]: 'wall.png',
-      [TileType.TREASURE]: 'treasure.png'
-    };
-    return images[this.type] || 'empty.png';
+    const definition = this.getDefinition();
+    return definition ? definition.image : 'empty.png';
   }
 
   /**
@@ -109,17 +147,7 @@ export class Tile {
    * @returns {string}
    */
   getColor() {
-    const colors = {
-      [TileType.BLANK]: '#4a5568',
-      [TileType.SPIKE_TRAP]: '#ef476f',
-      [TileType.CAGE_TRAP]: '#8b4513',
-      [TileType.OIL_SLICK_TRAP]: '#2c1810',
-      [TileType.PUSHBACK_TRAP]: '#f97316',
-      [TileType.BOMB_TRAP]: '#dc2626',
-      [TileType.WALL]: '#6b7280',
-      [TileType.TREASURE]: '#fbbf24'
-    };
-    return colors[this.type] || '#2d3748';
+    return this.getDefinition()?.color || '#2d3748';
   }
 
   /**
@@ -127,17 +155,7 @@ export class Tile {
    * @returns {string}
    */
   getSymbol() {
-    const symbols = {
-      [TileType.BLANK]: '',
-      [TileType.SPIKE_TRAP]: '▲',
-      [TileType.CAGE_TRAP]: '⚿',
-      [TileType.OIL_SLICK_TRAP]: '~',
-      [TileType.PUSHBACK_TRAP]: '◄',
-      [TileType.BOMB_TRAP]: '💣',
-      [TileType.WALL]: '█',
-      [TileType.TREASURE]: '💰'
-    };
-    return symbols[this.type] || '?';
+    return this.getDefinition()?.symbol ?? '?';
   }
 
   /**
@@ -148,6 +166,47 @@ export class Tile {
     const tile = new Tile(this.type, this.x, this.y);
     tile.revealed = this.revealed;
     tile.hasUnit = this.hasUnit;
+    tile.treasureCollected = this.treasureCollected;
+    tile.treasurePending = this.treasurePending;
+    tile.disarmed = this.disarmed;
+    tile.linkId = this.linkId;
+    tile.orientation = this.orientation;
+    return tile;
+  }
+
+  /**
+   * Serialize this tile
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      revealed: this.revealed,
+      hasUnit: this.hasUnit,
+      treasureCollected: this.treasureCollected,
+      treasurePending: this.treasurePending,
+      disarmed: this.disarmed,
+      linkId: this.linkId,
+      orientation: this.orientation
+    };
+  }
+
+  /**
+   * Restore a tile from serialized data
+   * @param {Object} data 
+   * @returns {Tile}
+   */
+  static fromJSON(data) {
+    const tile = new Tile(data.type, data.x, data.y);
+    tile.revealed = data.revealed;
+    tile.hasUnit = data.hasUnit;
+    tile.treasureCollected = data.treasureCollected;
+    tile.treasurePending = data.treasurePending ?? false;
+    tile.disarmed = data.disarmed ?? false;
+    tile.linkId = data.linkId ?? null;
+    tile.orientation = data.orientation ?? null;
     return tile;
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * Undo/redo history built on state snapshots
+ */
+import { UndoPolicy } from '../utils/gameConfig.js';
+
+export class UndoHistory {
+  constructor(policy = UndoPolicy.UNLIMITED) {
+    this.policy = policy;
+    this.undoStack = []; // Snapshots taken before each undoable action
+    this.redoStack = []; // Snapshots taken before each undo
+  }
+
+  /**
+   * Set the undo policy (clears history)
+   * @param {string} policy - UndoPolicy value
+   */
+  setPolicy(policy) {
+    this.policy = policy;
+    this.clear();
+  }
+
+  /**
+   * Record a committed action
+   * @param {Object} snapshot - State from before the action
+   * @param {boolean} revealing - Whether the action revealed hidden information
+   */
+  record(snapshot, revealing) {
+    this.redoStack = [];
+
+    const undoable = this.policy === UndoPolicy.UNLIMITED ||
+      (this.policy === UndoPolicy.NON_REVEALING && !revealing);
+
+    if (undoable) {
+      this.undoStack.push(snapshot);
+    } else {
+      // Nothing before this action may be undone any more
+      this.undoStack = [];
+    }
+  }
+
+  /**
+   * Step back one action
+   * @param {Object} current - Current state, kept for redo
+   * @returns {Object|null} Snapshot to restore, or null if nothing to undo
+   */
+  undo(current) {
+    if (!this.canUndo()) return null;
+
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  /**
+   * Re-apply the last undone action
+   * @param {Object} current - Current state, kept for undo
+   * @returns {Object|null} Snapshot to restore, or null if nothing to redo
+   */
+  redo(current) {
+    if (!this.canRedo()) return null;
+
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+
+  /**
+   * Check if an action can be undone
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if an undone action can be redone
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all history
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Unit type registry - units are defined from the rule book's ability vocabulary
+ * ("Move 1", "Move 2", "Jump 1", "Reveal 1", "Bomb 1") and everything else reads them from here
+ * Imports nothing so the config module can depend on it without a cycle
+ */
+
+// Built-in unit types enum (custom units use the id they are registered with)
+export const UnitType = {
+  BASIC: 'basic',
+  SPRINTER: 'sprinter',
+  JUMPER: 'jumper',
+  SCOUT: 'scout',
+  BOMBER: 'bomber'
+};
+
+// Ability keywords, as written on the unit cards
+export const Ability = {
+  MOVE: 'Move',     // Move N: step up to N tiles in a straight line, one tile at a time
+  JUMP: 'Jump',     // Jump N: leap over N tiles, orthogonally or diagonally, without revealing the landing tile
+  REVEAL: 'Reveal', // Reveal N: after moving, reveal up to N adjacent hidden tiles
+  BOMB: 'Bomb'      // Bomb N: on death, explode with a blast reaching N tiles away
+};
+
+const registry = new Map();
+
+/**
+ * Parse ability strings such as "Move 2" into a map of keyword -> value
+ * @param {Array} abilities - e.g. ['Move 1', 'Reveal 1']
+ * @returns {Object} e.g. { Move: 1, Reveal: 1 }
+ */
+export function parseAbilities(abilities) {
+  const parsed = {};
+  for (const ability of abilities) {
+    const match = /^(\w+) (\d+)$/.exec(String(ability).trim());
+    if (!match || !Object.values(Ability).includes(match[1]) || Number(match[2]) < 1) {
+      throw new Error(`Unknown ability: ${ability}`);
+    }
+    parsed[match[1]] = Number(match[2]);
+  }
+  return parsed;
+}
+
+/**
+ * Register a unit type
+ *
+ * A definition has:
+ * - id: string used for the unit's type, in recordings and in unitCosts
+ * - name: display name
+ * - color, symbol: rendering on the board
+ * - abilities: ability strings, e.g. ['Move 2'] - a unit needs Move or Jump to get around
+ * - costs: { summon, move } default gold costs (config unitCosts can override them)
+ * @param {Object} definition
+ * @returns {Object} The registered definition
+ */
+export function registerUnitType(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('Unit definition needs a string id');
+  }
+  if (registry.has(definition.id)) {
+    throw new Error(`Unit type already registered: ${definition.id}`);
+  }
+
+  const abilities = parseAbilities(definition.abilities || []);
+  if (!abilities[Ability.MOVE] && !abilities[Ability.JUMP]) {
+    throw new Error(`Unit ${definition.id} needs a Move or Jump ability`);
+  }
+
+  const costs = definition.costs || {};
+  if (!Number.isInteger(costs.summon) || !Number.isInteger(costs.move)) {
+    throw new Error(`Unit ${definition.id} needs whole number summon and move costs`);
+  }
+
+  const registered = Object.freeze({
+    name: definition.id,
+    color: '#eaeaea',
+    symbol: '?',
+    ...definition,
+    abilities: Object.freeze(abilities),
+    costs: Object.freeze({ summon: costs.summon, move: costs.move })
+  });
+  registry.set(registered.id, registered);
+  return registered;
+}
+
+/**
+ * Get the definition of a unit type
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getUnitDefinition(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Check if a unit type has been registered
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isUnitTypeRegistered(id) {
+  return registry.has(id);
+}
+
+/**
+ * Get every registered unit definition, built-ins first (the order of the roster)
+ * @returns {Array}
+ */
+export function getUnitDefinitions() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Get the default costs of every registered unit
+ * @returns {Object} Map of unit type -> { summon, move }
+ */
+export function getDefaultUnitCosts() {
+  return Object.fromEntries(getUnitDefinitions().map(definition => [definition.id, { ...definition.costs }]));
+}
+
+registerUnitType({
+  id: UnitType.BASIC,
+  name: 'Basic',
+  color: '#06d6a0',
+  symbol: 'B',
+  abilities: ['Move 1'],
+  costs: { summon: 2, move: 1 }
+});
+
+registerUnitType({
+  id: UnitType.SPRINTER,
+  name: 'Sprinter',
+  color: '#ffd166',
+  symbol: 'S',
+  abilities: ['Move 2'],
+  costs: { summon: 3, move: 1 }
+});
+
+registerUnitType({
+  id: UnitType.JUMPER,
+  name: 'Jumper',
+  color: '#118ab2',
+  symbol: 'J',
+  abilities: ['Jump 1'],
+  costs: { summon: 3, move: 1 }
+});
+
+registerUnitType({
+  id: UnitType.SCOUT,
+  name: 'Scout',
+  color: '#8338ec',
+  symbol: 'Sc',
+  abilities: ['Move 1', 'Reveal 1'],
+  costs: { summon: 4, move: 2 }
+});
+
+registerUnitType({
+  id: UnitType.BOMBER,
+  name: 'Bomber',
+  color: '#ef476f',
+  symbol: 'Bo',
+  abilities: ['Move 1', 'Bomb 1'],
+  costs: { summon: 4, move: 1 }
+});
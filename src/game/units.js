@@ -1,7 +1,7 @@
 /**
  * Unit definitions and behaviors
  */
-import { UnitType } from '../utils/gameConfig.js';
+import { Ability, getUnitDefinition, getUnitDefinitions } from './unitRegistry.js';
 
 export class Unit {
   constructor(type, id) {
@@ -16,11 +16,12 @@ export class Unit {
   }
 
   /**
-   * Spawn the unit at the offense endzone
-   * @param {number} y - Row position in endzone
+   * Spawn the unit onto a position
+   * @param {number} x 
+   * @param {number} y 
    */
-  spawn(y = 0) {
-    this.x = -1; // Offense endzone is at x=-1
+  spawn(x, y) {
+    this.x = x;
     this.y = y;
     this.alive = true;
     this.spawned = true;
@@ -68,96 +69,74 @@ export class Unit {
 
   /**
    * Get valid movement range for this unit
+   * Move N steps up to N tiles in a straight line; Jump N lands N + 1 tiles away, over the tiles between
    * @param {number} totalPaths - Total number of paths/rows on the board
+   * @param {number|null} lastColumn - Column moves may not go past (surviveLastTile rule), or null
    * @returns {Array} Array of {dx, dy} offsets
    */
-  getMovementOptions(totalPaths = 5) {
+  getMovementOptions(totalPaths = 5, lastColumn = null) {
+    const moveRange = this.getMoveRange();
+    const jumpRange = this.getJumpRange();
     const options = [];
+    const addOption = (dx, dy) => {
+      if (!options.some(option => option.dx === dx && option.dy === dy)) {
+        options.push({ dx, dy });
+      }
+    };
     
-    // Special case: units at spawn (x=-1)
+    // Special case: units at spawn (x=-1) can reach the first columns on any row
     if (this.x === -1) {
-      if (this.type === UnitType.SPRINTER) {
-        // Sprinter can reach column 0 or 1 (any row)
-        for (let targetY = 0; targetY < totalPaths; targetY++) {
-          const dy = targetY - this.y;
-          options.push({ dx: 1, dy: dy });  // Column 0
-          options.push({ dx: 2, dy: dy });  // Column 1
-        }
-      } else if (this.type === UnitType.JUMPER) {
-        // Jumper can jump to column 1 (any row)
-        for (let targetY = 0; targetY < totalPaths; targetY++) {
-          const dy = targetY - this.y;
-          options.push({ dx: 2, dy: dy });  // Column 1 (jump over column 0)
+      for (let targetY = 0; targetY < totalPaths; targetY++) {
+        const dy = targetY - this.y;
+        for (let dx = 1; dx <= moveRange; dx++) {
+          addOption(dx, dy);
         }
-      } else {
-        // Basic unit can only move to column 0 (any row)
-        for (let targetY = 0; targetY < totalPaths; targetY++) {
-          const dy = targetY - this.y;
-          options.push({ dx: 1, dy: dy });
+        if (jumpRange > 0) {
+          addOption(jumpRange + 1, dy); // Jump over the first columns
         }
       }
-      return options;
+      return this.limitToColumn(options, lastColumn);
     }
     
-    switch (this.type) {
-      case UnitType.BASIC:
-      case UnitType.SCOUT:
-      case UnitType.BOMBER:
-        // Move 1: Adjacent tiles only (not diagonal)
-        options.push(
-          { dx: 1, dy: 0 },  // Right
-          { dx: 0, dy: 1 },  // Down
-          { dx: 0, dy: -1 }  // Up
-        );
-        // Can move left unless at x=0 (would go back to spawn)
-        if (this.x > 0) {
-          options.push({ dx: -1, dy: 0 }); // Left
-        }
-        break;
-        
-      case UnitType.SPRINTER:
-        // Move 2: Move 1, then if no trap/obstruction, move 1 again
-        // For simplicity, we'll allow 2-tile moves in cardinal directions
-        options.push(
-          // 2 tiles horizontally
-          { dx: 2, dy: 0 },   // Right 2
-          // 2 tiles vertically
-          { dx: 0, dy: 2 },   // Down 2
-          { dx: 0, dy: -2 },  // Up 2
-          // Also allow single moves
-          { dx: 1, dy: 0 },   // Right 1
-          { dx: 0, dy: 1 },   // Down 1
-          { dx: 0, dy: -1 }   // Up 1
-        );
-        if (this.x > 0) {
-          options.push({ dx: -1, dy: 0 }); // Left 1
-        }
-        if (this.x > 1) {
-          options.push({ dx: -2, dy: 0 }); // Left 2
-        }
-        break;
-        
-      case UnitType.JUMPER:
-        // Jump 1: Jump over one adjacent tile, landing two spaces away
-        // Can jump orthogonally or diagonally
-        options.push(
-          // Orthogonal jumps (2 spaces away)
-          { dx: 2, dy: 0 },   // Right
-          { dx: 0, dy: 2 },   // Down
-          { dx: 0, dy: -2 },  // Up
-          // Diagonal jumps (2 spaces diagonally)
-          { dx: 2, dy: 2 },   // Right-Down
-          { dx: 2, dy: -2 },  // Right-Up
-          { dx: -2, dy: 2 },  // Left-Down
-          { dx: -2, dy: -2 }  // Left-Up
-        );
-        if (this.x > 1) {
-          options.push({ dx: -2, dy: 0 }); // Left
-        }
-        break;
+    // Move N: orthogonal tiles up to N away (not diagonal)
+    for (let distance = 1; distance <= moveRange; distance++) {
+      addOption(distance, 0);  // Right
+      addOption(0, distance);  // Down
+      addOption(0, -distance); // Up
+      // Can move left unless it would go back to spawn
+      if (this.x - distance >= 0) {
+        addOption(-distance, 0); // Left
+      }
+    }
+    
+    // Jump N: jump over N tiles, orthogonally or diagonally
+    if (jumpRange > 0) {
+      const distance = jumpRange + 1;
+      addOption(distance, 0);          // Right
+      addOption(0, distance);          // Down
+      addOption(0, -distance);         // Up
+      addOption(distance, distance);   // Right-Down
+      addOption(distance, -distance);  // Right-Up
+      addOption(-distance, distance);  // Left-Down
+      addOption(-distance, -distance); // Left-Up
+      if (this.x - distance >= 0) {
+        addOption(-distance, 0); // Left
+      }
     }
     
-    return options;
+    return this.limitToColumn(options, lastColumn);
+  }
+
+  /**
+   * Drop movement options that land past the last column
+   * With no endzone to jump into, a Jumper has to land on the last tile rather than jump over it
+   * @param {Array} options - Array of {dx, dy} offsets
+   * @param {number|null} lastColumn
+   * @returns {Array}
+   */
+  limitToColumn(options, lastColumn) {
+    if (lastColumn === null) return options;
+    return options.filter(option => this.x + option.dx <= lastColumn);
   }
 
   /**
@@ -166,7 +145,7 @@ export class Unit {
    * @returns {number}
    */
   getMoveCost(gameConfig) {
-    return gameConfig.unitCosts[this.type].move;
+    return (gameConfig.unitCosts[this.type] || this.getDefinition().costs).move;
   }
 
   /**
@@ -175,7 +154,64 @@ export class Unit {
    * @returns {number}
    */
   getSpawnCost(gameConfig) {
-    return gameConfig.unitCosts[this.type].summon;
+    return (gameConfig.unitCosts[this.type] || this.getDefinition().costs).summon;
+  }
+
+  /**
+   * Get this unit's registered definition
+   * @returns {Object|null}
+   */
+  getDefinition() {
+    return getUnitDefinition(this.type);
+  }
+
+  /**
+   * Get the value of one of this unit's abilities
+   * @param {string} keyword - Ability value, e.g. Ability.MOVE
+   * @returns {number} 0 if the unit doesn't have it
+   */
+  getAbility(keyword) {
+    return this.getDefinition()?.abilities[keyword] || 0;
+  }
+
+  /**
+   * Get how many tiles this unit can step in one move (Move N)
+   * @returns {number}
+   */
+  getMoveRange() {
+    return this.getAbility(Ability.MOVE);
+  }
+
+  /**
+   * Get how many tiles this unit can jump over (Jump N)
+   * @returns {number}
+   */
+  getJumpRange() {
+    return this.getAbility(Ability.JUMP);
+  }
+
+  /**
+   * Get how many adjacent tiles this unit can reveal after moving (Reveal N)
+   * @returns {number}
+   */
+  getRevealCount() {
+    return this.getAbility(Ability.REVEAL);
+  }
+
+  /**
+   * Get how far this unit's blast reaches when it dies (Bomb N)
+   * @returns {number}
+   */
+  getBombRadius() {
+    return this.getAbility(Ability.BOMB);
+  }
+
+  /**
+   * Check if this unit's moves are resolved one tile at a time (Move 2 or more)
+   * @returns {boolean}
+   */
+  hasMultiStepMove() {
+    return this.getMoveRange() > 1;
   }
 
   /**
@@ -183,14 +219,7 @@ export class Unit {
    * @returns {string}
    */
   getColor() {
-    const colors = {
-      [UnitType.BASIC]: '#06d6a0',
-      [UnitType.SPRINTER]: '#ffd166',
-      [UnitType.JUMPER]: '#118ab2',
-      [UnitType.SCOUT]: '#8338ec',
-      [UnitType.BOMBER]: '#ef476f'
-    };
-    return colors[this.type] || '#eaeaea';
+    return this.getDefinition()?.color || '#eaeaea';
   }
 
   /**
@@ -198,14 +227,7 @@ export class Unit {
    * @returns {string}
    */
   getSymbol() {
-    const symbols = {
-      [UnitType.BASIC]: 'B',
-      [UnitType.SPRINTER]: 'S',
-      [UnitType.JUMPER]: 'J',
-      [UnitType.SCOUT]: 'Sc',
-      [UnitType.BOMBER]: 'Bo'
-    };
-    return symbols[this.type] || '?';
+    return this.getDefinition()?.symbol || '?';
   }
 
   /**
@@ -213,7 +235,7 @@ export class Unit {
    * @returns {boolean}
    */
   hasJumpAbility() {
-    return this.type === UnitType.JUMPER;
+    return this.getJumpRange() > 0;
   }
 
   /**
@@ -221,7 +243,7 @@ export class Unit {
    * @returns {boolean}
    */
   hasRevealAbility() {
-    return this.type === UnitType.SCOUT;
+    return this.getRevealCount() > 0;
   }
 
   /**
@@ -229,21 +251,22 @@ export class Unit {
    * @returns {boolean}
    */
   hasBombAbility() {
-    return this.type === UnitType.BOMBER;
+    return this.getBombRadius() > 0;
   }
 
   /**
-   * Check if movement is a jump (distance of 2)
+   * Check if movement is a jump (Jump N lands N + 1 tiles away)
    * @param {number} dx
    * @param {number} dy
    * @returns {boolean}
    */
   isJumpMove(dx, dy) {
     if (!this.hasJumpAbility()) return false;
-    // Jump moves are 2 spaces away (orthogonal or diagonal)
-    return (Math.abs(dx) === 2 && dy === 0) || 
-           (dx === 0 && Math.abs(dy) === 2) ||
-           (Math.abs(dx) === 2 && Math.abs(dy) === 2);
+    // Jump moves land one space past the tiles jumped over (orthogonal or diagonal)
+    const distance = this.getJumpRange() + 1;
+    return (Math.abs(dx) === distance && dy === 0) || 
+           (dx === 0 && Math.abs(dy) === distance) ||
+           (Math.abs(dx) === distance && Math.abs(dy) === distance);
   }
 
   /**
@@ -260,6 +283,39 @@ export class Unit {
     unit.canRespawn = this.canRespawn;
     return unit;
   }
+
+  /**
+   * Serialize this unit
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      alive: this.alive,
+      spawned: this.spawned,
+      trapped: this.trapped,
+      canRespawn: this.canRespawn
+    };
+  }
+
+  /**
+   * Restore a unit from serialized data
+   * @param {Object} data 
+   * @returns {Unit}
+   */
+  static fromJSON(data) {
+    const unit = new Unit(data.type, data.id);
+    unit.x = data.x;
+    unit.y = data.y;
+    unit.alive = data.alive;
+    unit.spawned = data.spawned;
+    unit.trapped = data.trapped;
+    unit.canRespawn = data.canRespawn;
+    return unit;
+  }
 }
 
 /**
@@ -273,15 +329,11 @@ export function createUnit(type, id) {
 }
 
 /**
- * Create all units for the offense player
+ * Create all units for the offense player, one of each registered type
  * @returns {Object} Map of unit type to unit instance
  */
 export function createAllUnits() {
-  return {
-    [UnitType.BASIC]: createUnit(UnitType.BASIC, 'basic-1'),
-    [UnitType.SPRINTER]: createUnit(UnitType.SPRINTER, 'sprinter-1'),
-    [UnitType.JUMPER]: createUnit(UnitType.JUMPER, 'jumper-1'),
-    [UnitType.SCOUT]: createUnit(UnitType.SCOUT, 'scout-1'),
-    [UnitType.BOMBER]: createUnit(UnitType.BOMBER, 'bomber-1')
-  };
+  return Object.fromEntries(
+    getUnitDefinitions().map(definition => [definition.id, createUnit(definition.id, `${definition.id}-1`)])
+  );
 }
@@ -9,6 +9,7 @@ import { BoardRenderer } from './ui/boardRenderer.js';
 import { HUD } from './ui/hud.js';
 import { Controls } from './ui/controls.js';
 import { getImageLoader } from './utils/imageLoader.js';
+import { getSaveManager } from './utils/saveManager.js';
 
 class DungeonRushGame {
   constructor() {
@@ -64,8 +65,14 @@ class DungeonRushGame {
       this.hud
     );
     
-    // Start the game
-    this.start();
+    // Offer to continue an unfinished game from the autosave
+    const autosave = getSaveManager().getAutosave();
+    if (autosave && !autosave.session.gameState.gameOver &&
+        confirm(`Continue your last game (turn ${autosave.turn})?`)) {
+      this.resume(autosave.session);
+    } else {
+      this.start();
+    }
     
     console.log('Dungeon Rush initialized successfully!');
   }
@@ -78,16 +85,13 @@ class DungeonRushGame {
     
     // Reset game state
     this.gameState.reset();
+    this.controls.offenseBot.reset();
     
-    // Start first defense turn
-    const result = this.defensePlayer.startTurn();
+    // Start first defense turn (solo games play through the opening columns)
+    const result = this.controls.startDefenseTurn();
     
     if (result.success) {
-      // Update UI
-      this.hud.updateAll();
-      this.hud.updateCurrentDraw(result.tiles, this.defensePlayer.getAssignments());
-      this.renderer.setPreviewTiles(this.defensePlayer.getAssignments());
-      this.renderer.render();
+      this.controls.autosave();
       
       console.log('Game started! Defense phase begins.');
       console.log('Tiles drawn:', result.tiles);
@@ -97,6 +101,23 @@ class DungeonRushGame {
     }
   }
 
+  /**
+   * Resume a saved session, falling back to a new game if it cannot be restored
+   * @param {Object} session - Session data from Controls.captureSession()
+   */
+  resume(session) {
+    const result = this.controls.restoreSession(session);
+    if (!result.success) {
+      console.error('Failed to resume game:', result.error);
+      this.start();
+      return;
+    }
+    
+    this.config = this.gameState.config;
+    this.controls.resetUndoHistory();
+    console.log('Resumed game with seed:', this.config.tileBagSeed);
+  }
+
   /**
    * Restart the game with a specific seed
    * @param {number} seed 
@@ -1,11 +1,13 @@
 /**
  * Defense player actions and logic
  */
+import { Orientation, getOrientationVector, getPlacedOrientation } from '../game/tileRegistry.js';
 
 export class DefensePlayer {
   constructor(gameState) {
     this.gameState = gameState;
     this.selectedTiles = new Map(); // row -> tileType
+    this.selectedOrientations = new Map(); // row -> orientation, for oriented tiles (one-way arrows)
   }
 
   /**
@@ -15,7 +17,7 @@ export class DefensePlayer {
   startTurn() {
     const result = this.gameState.startDefensePhase();
     if (result.success) {
-      this.selectedTiles.clear();
+      this.clearAllAssignments();
     }
     return result;
   }
@@ -24,9 +26,10 @@ export class DefensePlayer {
    * Assign a tile to a specific row
    * @param {number} row 
    * @param {string} tileType 
+   * @param {string|null} orientation - Way an oriented tile (one-way arrow) points; defaults if missing
    * @returns {Object} { success: boolean, replacedTile: string|null }
    */
-  assignTileToRow(row, tileType) {
+  assignTileToRow(row, tileType, orientation = null) {
     if (row < 0 || row >= this.gameState.config.totalPaths) {
       return { success: false, replacedTile: null };
     }
@@ -37,20 +40,35 @@ export class DefensePlayer {
       return { success: false, replacedTile: null };
     }
 
+    if (orientation && !getOrientationVector(orientation)) {
+      return { success: false, replacedTile: null };
+    }
+
     // Check if row already has a tile assigned
     const replacedTile = this.selectedTiles.get(row) || null;
     
     this.selectedTiles.set(row, tileType);
+    const placedOrientation = this.setOrientation(row, tileType, orientation);
+    this.gameState.recordAssignment(row, tileType, replacedTile, placedOrientation);
     
-    // Log the tile placement with coordinates
-    const nextColumn = this.gameState.board.maxColumn + 1;
-    if (replacedTile) {
-      this.gameState.logEvent(`Replaced ${replacedTile} with ${tileType} at (${nextColumn}, ${row})`, 'defense');
+    return { success: true, replacedTile };
+  }
+
+  /**
+   * Store the orientation of the tile assigned to a row
+   * @param {number} row 
+   * @param {string} tileType 
+   * @param {string|null} orientation 
+   * @returns {string|null} The orientation the tile will be placed with (null if it isn't oriented)
+   */
+  setOrientation(row, tileType, orientation) {
+    const placedOrientation = getPlacedOrientation(tileType, orientation);
+    if (placedOrientation) {
+      this.selectedOrientations.set(row, placedOrientation);
     } else {
-      this.gameState.logEvent(`Placed ${tileType} at (${nextColumn}, ${row})`, 'defense');
+      this.selectedOrientations.delete(row);
     }
-    
-    return { success: true, replacedTile };
+    return placedOrientation;
   }
 
   /**
@@ -82,12 +100,35 @@ export class DefensePlayer {
     return new Map(this.selectedTiles);
   }
 
+  /**
+   * Get the orientations of assigned oriented tiles
+   * @returns {Map} row -> orientation
+   */
+  getOrientations() {
+    return new Map(this.selectedOrientations);
+  }
+
+  /**
+   * Replace all assignments (used when resuming a saved game)
+   * @param {Map} assignments - Map of row -> tileType
+   * @param {Map} orientations - Map of row -> orientation
+   */
+  restoreAssignments(assignments, orientations = new Map()) {
+    this.selectedTiles = new Map(assignments);
+    this.selectedOrientations = new Map(orientations);
+  }
+
   /**
    * Clear assignment for a row
    * @param {number} row 
    */
   clearAssignment(row) {
-    this.selectedTiles.delete(row);
+    const tileType = this.selectedTiles.get(row);
+    if (tileType) {
+      this.selectedTiles.delete(row);
+      this.selectedOrientations.delete(row);
+      this.gameState.recordUnassignment(row, tileType);
+    }
   }
 
   /**
@@ -95,6 +136,7 @@ export class DefensePlayer {
    */
   clearAllAssignments() {
     this.selectedTiles.clear();
+    this.selectedOrientations.clear();
   }
 
   /**
@@ -109,15 +151,17 @@ export class DefensePlayer {
       };
     }
 
-    // Create ordered array of tiles (by row)
+    // Create ordered arrays of tiles and orientations (by row)
     const orderedTiles = [];
+    const orderedOrientations = [];
     for (let row = 0; row < this.gameState.config.totalPaths; row++) {
       orderedTiles.push(this.selectedTiles.get(row));
+      orderedOrientations.push(this.selectedOrientations.get(row) || null);
     }
 
-    const result = this.gameState.placeDefenseTiles(orderedTiles);
+    const result = this.gameState.placeDefenseTiles(orderedTiles, orderedOrientations);
     if (result.success) {
-      this.selectedTiles.clear();
+      this.clearAllAssignments();
     }
     
     return result;
@@ -128,7 +172,34 @@ export class DefensePlayer {
    */
   endTurn() {
     this.gameState.endDefensePhase();
-    this.selectedTiles.clear();
+    this.clearAllAssignments();
+  }
+
+  /**
+   * Place the current draw face down in the order it came out of the bag and end the turn
+   * Used by solo mode, where nobody looks at the tiles
+   * @returns {Object}
+   */
+  placeBlind() {
+    return this.placeColumn([...this.gameState.currentDraw]);
+  }
+
+  /**
+   * Place a whole column at once and end the turn
+   * Used when the computer plays defense, which picks every row before placing
+   * @param {Array} tiles - Ordered array of tile types (one per row)
+   * @param {Array} orientations - Way each oriented tile (one-way arrow) points, by row
+   * @returns {Object}
+   */
+  placeColumn(tiles, orientations = []) {
+    this.clearAllAssignments();
+    
+    const result = this.gameState.placeDefenseTiles(tiles, orientations);
+    if (result.success) {
+      this.endTurn();
+    }
+    
+    return result;
   }
 
   /**
@@ -137,20 +208,19 @@ export class DefensePlayer {
    */
   autoPlace() {
     // Clear any existing assignments
-    this.selectedTiles.clear();
+    this.clearAllAssignments();
     
     const tiles = [...this.gameState.currentDraw];
+    const orientations = Object.values(Orientation);
     
-    // Simple random assignment
+    // Simple random assignment (oriented tiles point a random way)
     for (let row = 0; row < this.gameState.config.totalPaths; row++) {
       const randomIndex = Math.floor(Math.random() * tiles.length);
       const tile = tiles[randomIndex];
       this.selectedTiles.set(row, tile);
       tiles.splice(randomIndex, 1);
-      
-      // Log the placement
-      const nextColumn = this.gameState.board.maxColumn + 1;
-      this.gameState.logEvent(`Placed ${tile} at (${nextColumn}, ${row})`, 'defense');
+      const orientation = this.setOrientation(row, tile, orientations[Math.floor(Math.random() * orientations.length)]);
+      this.gameState.recordAssignment(row, tile, null, orientation);
     }
 
     // Don't call placeTiles() - just return success
@@ -0,0 +1,165 @@
+/**
+ * Computer defense - lays each draw so the most dangerous tiles sit in the rows offense is most
+ * likely to cross: in front of advanced units, and along the rows offense knows to be open
+ * Returns commands in Engine.execute() format, so the same bot drives the UI or a headless Engine
+ */
+import { GamePhase, BOT_DIFFICULTIES } from '../utils/gameConfig.js';
+import { Orientation, getTileDefinition } from '../game/tileRegistry.js';
+import { createTile } from '../game/tiles.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+
+// What each kind of tile is worth to defense in a row offense crosses
+const KILL_VALUE = 4;
+const CAGE_VALUE = 3;
+const BLOCK_VALUE = 2; // Walls and one-way arrows turned against offense
+const PUSHBACK_VALUE = 1;
+const PUSH_ON_VALUE = -1; // Slides offense further along
+
+// Share of a unit's traffic that reaches the rows one step further from it
+// (kept low: danger piled in front of a unit does more than danger spread thin)
+const ROW_SPREAD = 0.2;
+
+// Most a row's traffic is scaled up by chance, so close rows aren't always picked the same way
+const JITTER = 0.2;
+
+const FORWARD = { dx: 1, dy: 0 };
+
+export class DefenseBot {
+  /**
+   * @param {GameState} gameState
+   * @param {string|null} difficulty - BotDifficulty value, or null to play at the game's computerDifficulty
+   */
+  constructor(gameState, difficulty = null) {
+    this.gameState = gameState;
+    this.difficulty = difficulty;
+  }
+
+  /**
+   * Pick where each tile of the current draw goes
+   * @returns {Object|null} placeColumn command for Engine.execute(), or null if it isn't defense's turn
+   */
+  chooseCommand() {
+    const gameState = this.gameState;
+    if (gameState.isGameOver() || gameState.phase !== GamePhase.DEFENSE || gameState.currentDraw.length === 0) {
+      return null;
+    }
+
+    // Seeded by the game and the column being laid, so the same position is always played the same way
+    const rng = SeededRandom.fromParts(gameState.config.tileBagSeed, gameState.board.maxColumn + 1);
+    const level = this.getLevel();
+    if (rng.next() < level.randomChance) {
+      return this.chooseRandomColumn(rng);
+    }
+
+    const traffic = this.getRowTraffic(level, rng).map(weight => weight * (1 + JITTER * rng.next()));
+    // Rows offense has no reason to favor (all of them, before any unit is on the board) go in any order
+    const rows = rng.shuffle(traffic.map((weight, row) => row)).sort((a, b) => traffic[b] - traffic[a]);
+
+    // Best tiles in the busiest rows (ties go to the order drawn)
+    const delay = level.countsBag ? this.getDelayWeight() : 1;
+    const tiles = gameState.currentDraw.map(type => ({ type, value: this.getTileValue(type, delay) }));
+    tiles.sort((a, b) => b.value - a.value);
+
+    const placed = new Array(gameState.config.totalPaths);
+    const orientations = new Array(gameState.config.totalPaths).fill(null);
+    rows.forEach((row, index) => {
+      placed[row] = tiles[index].type;
+      if (getTileDefinition(tiles[index].type)?.oriented) {
+        // Pointing back at offense turns away anyone entering head on
+        orientations[row] = Orientation.LEFT;
+      }
+    });
+
+    return { type: 'placeColumn', tiles: placed, orientations };
+  }
+
+  /**
+   * Lay the draw in any order, oriented tiles pointing any way
+   * @param {SeededRandom} rng
+   * @returns {Object} placeColumn command
+   */
+  chooseRandomColumn(rng) {
+    const tiles = rng.shuffle(this.gameState.currentDraw);
+    const orientations = tiles.map(type =>
+      getTileDefinition(type)?.oriented ? rng.choice(Object.values(Orientation)) : null
+    );
+    return { type: 'placeColumn', tiles, orientations };
+  }
+
+  /**
+   * Get how well the bot plays
+   * @returns {Object} Entry of BOT_DIFFICULTIES
+   */
+  getLevel() {
+    return BOT_DIFFICULTIES[this.difficulty || this.gameState.getComputerDifficulty()];
+  }
+
+  /**
+   * Estimate how much offense will use each row of the column being laid
+   * Units further along weigh more, and offense favors rows it has seen open ahead of it
+   * @param {Object} level - Entry of BOT_DIFFICULTIES (weaker bots lose track of some face-up tiles)
+   * @param {SeededRandom} rng
+   * @returns {Array} Traffic by row
+   */
+  getRowTraffic(level, rng) {
+    const gameState = this.gameState;
+    const board = gameState.board;
+    const column = board.maxColumn + 1;
+    const traffic = new Array(gameState.config.totalPaths).fill(0);
+
+    for (const unit of gameState.getAliveUnits()) {
+      const advance = (unit.x + 2) / (column + 1);
+      const weight = unit.trapped ? advance / 2 : advance;
+      for (let row = 0; row < traffic.length; row++) {
+        traffic[row] += weight * ROW_SPREAD ** Math.abs(row - unit.y);
+      }
+    }
+
+    // Only what offense has seen counts - face-up tiles, including the ones units stand on
+    for (let row = 0; row < traffic.length; row++) {
+      const tile = board.getTile(board.maxColumn, row);
+      if (!tile?.revealed || rng.next() < level.forgetChance) continue;
+
+      if (tile.blocksMovement() || tile.blocksEntry(FORWARD)) {
+        traffic[row] /= 3;
+      } else if (tile.disarmed || !tile.isTrap()) {
+        traffic[row] *= 1.5;
+      }
+    }
+
+    return traffic;
+  }
+
+  /**
+   * Weight of tiles that hold offense up: the fewer columns left in the bag, the closer
+   * defense is to winning by running it out, so stalling is worth more
+   * @returns {number}
+   */
+  getDelayWeight() {
+    const columnsLeft = Math.floor(this.gameState.tileBag.getTotalRemaining() / this.gameState.config.totalPaths);
+    return 1 + 2 / (columnsLeft + 1);
+  }
+
+  /**
+   * Get what a tile is worth to defense in a row offense crosses
+   * @param {string} type
+   * @param {number} delay - Weight of tiles that hold offense up
+   * @returns {number}
+   */
+  getTileValue(type, delay) {
+    const definition = getTileDefinition(type);
+    if (!definition) return 0;
+    if (definition.blocksMovement || definition.oriented) {
+      return BLOCK_VALUE * delay;
+    }
+
+    const unit = Object.values(this.gameState.units)[0];
+    const effects = definition.onEnter ? definition.onEnter(createTile(type, 0, 0), unit, FORWARD) : {};
+    if (effects.killed || effects.bomb || effects.rockfall) return KILL_VALUE;
+    if (effects.trapped) return CAGE_VALUE * delay;
+    if (effects.pushed) return effects.pushed.dx < 0 ? PUSHBACK_VALUE * delay : PUSH_ON_VALUE;
+    // Treasure is kept out of the way
+    if (effects.treasure) return -this.gameState.getTuning('treasureGold') / 2;
+    return 0;
+  }
+}
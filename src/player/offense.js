@@ -6,7 +6,7 @@ export class OffensePlayer {
   constructor(gameState) {
     this.gameState = gameState;
     this.selectedUnit = null;
-    this.moveTargets = []; // For sprinter double-move
+    this.moveTargets = []; // For multi-step moves
   }
 
   /**
@@ -47,57 +47,28 @@ export class OffensePlayer {
    * @returns {Array} Array of {x, y} positions
    */
   getValidMoves() {
-    const unit = this.getSelectedUnit();
-    if (!unit) return [];
-
-    const moves = [];
-    const options = unit.getMovementOptions(this.gameState.config.totalPaths);
-    
-    // Get all alive units for collision detection
-    const aliveUnits = this.gameState.getAliveUnits();
-
-    for (const move of options) {
-      const targetX = unit.x + move.dx;
-      const targetY = unit.y + move.dy;
-
-      // Check if moving to defense endzone (single spot, any y from last column can reach it)
-      if (this.gameState.board.isDefenseEndzone(targetX)) {
-        // Only add defense endzone once, at a normalized position
-        const defenseEndzonePos = { x: targetX, y: Math.floor(this.gameState.config.totalPaths / 2) };
-        if (!moves.some(m => this.gameState.board.isDefenseEndzone(m.x))) {
-          moves.push(defenseEndzonePos);
-        }
-        continue;
-      }
-
-      // Check if position is valid board tile
-      if (this.gameState.board.isValidPosition(targetX, targetY)) {
-        // Check if within bounds for y
-        if (targetY >= 0 && targetY < this.gameState.config.totalPaths) {
-          // Check if position is occupied by another unit
-          const isOccupied = aliveUnits.some(u => 
-            u.x === targetX && u.y === targetY && u !== unit
-          );
-          
-          // Don't check for boulders - let unit attempt move and discover on reveal
-          
-          if (!isOccupied) {
-            moves.push({ x: targetX, y: targetY });
-          }
-        }
-      }
-    }
-
-    return moves;
+    if (!this.selectedUnit) return [];
+    return this.gameState.getValidMoves(this.selectedUnit);
   }
 
   /**
-   * Spawn a unit
+   * Spawn a unit onto a row of the first column
    * @param {string} unitType 
+   * @param {number} row 
    * @returns {Object}
    */
-  spawnUnit(unitType) {
-    return this.gameState.spawnUnit(unitType);
+  spawnUnit(unitType, row) {
+    const result = this.gameState.spawnUnit(unitType, row);
+    return { ...result, unitType };
+  }
+
+  /**
+   * Get the tiles a unit can be spawned onto
+   * @param {string} unitType 
+   * @returns {Array} Array of {x, y} positions
+   */
+  getSpawnTargets(unitType) {
+    return this.gameState.getSpawnTargets(unitType);
   }
 
   /**
@@ -114,30 +85,11 @@ export class OffensePlayer {
     const unit = this.gameState.units[this.selectedUnit];
     const unitType = this.selectedUnit;
     
-    // Handle Sprinter's Move 2 ability
-    if (unit.type === 'sprinter') {
-      // Calculate direction from current position to target
-      const dx = targetX - unit.x;
-      const dy = targetY - unit.y;
-      
-      // Normalize direction
-      const dirX = Math.sign(dx);
-      const dirY = Math.sign(dy);
-      
-      // Use moveSprinter for sequential two-step movement
-      const result = this.gameState.moveSprinter(this.selectedUnit, dirX, dirY);
-      
-      if (result.success || result.goldLost) {
-        this.deselectUnit();
-      }
-      
-      return { ...result, unitType };
-    }
-    
-    // Normal unit movement
-    const result = this.gameState.moveUnit(this.selectedUnit, targetX, targetY);
+    // Move 2+ units (Sprinters) resolve every step inside performMove
+    const result = this.gameState.performMove(unitType, targetX, targetY);
     
-    if (result.success) {
+    // A multi-step unit that hit a wall has still spent its move
+    if (result.success || (unit.hasMultiStepMove() && result.goldLost)) {
       this.deselectUnit();
     }
 
@@ -145,7 +97,37 @@ export class OffensePlayer {
   }
 
   /**
-   * Move unit with specified type (for sprinter double-move)
+   * Move the unit freed from a cage to an adjacent tile
+   * @param {number} targetX 
+   * @param {number} targetY 
+   * @returns {Object}
+   */
+  releaseFromCage(targetX, targetY) {
+    return this.gameState.resolveCageRelease(targetX, targetY);
+  }
+
+  /**
+   * Reveal a tile next to the Scout that just moved
+   * @param {number} targetX 
+   * @param {number} targetY 
+   * @returns {Object}
+   */
+  scoutReveal(targetX, targetY) {
+    const choice = this.gameState.pendingChoice;
+    return this.gameState.revealAdjacentTile(choice?.unitType, targetX, targetY);
+  }
+
+  /**
+   * Pass on the pending Scout reveal
+   * @returns {Object}
+   */
+  skipScoutReveal() {
+    const choice = this.gameState.pendingChoice;
+    return this.gameState.skipScoutReveal(choice?.unitType);
+  }
+
+  /**
+   * Move unit with specified type through a list of steps (for Move 2+ units)
    * @param {string} unitType 
    * @param {Array} targets - Array of {x, y} positions
    * @returns {Object}
@@ -156,13 +138,13 @@ export class OffensePlayer {
       return { success: false, error: 'Invalid unit type' };
     }
 
-    // Currently only sprinter can move multiple times
-    if (unit.type !== 'sprinter') {
+    // Only units with Move 2 or more can move multiple times
+    if (!unit.hasMultiStepMove()) {
       return { success: false, error: 'Unit cannot move multiple times' };
     }
 
-    if (targets.length !== 2) {
-      return { success: false, error: 'Sprinter must move exactly 2 tiles' };
+    if (targets.length < 1 || targets.length > unit.getMoveRange()) {
+      return { success: false, error: `Unit must move 1 to ${unit.getMoveRange()} tiles` };
     }
 
     // Check gold for movement
@@ -171,24 +153,24 @@ export class OffensePlayer {
       return { success: false, error: 'Not enough gold' };
     }
 
-    // Execute first move
-    const firstMove = this.gameState.moveUnit(unitType, targets[0].x, targets[0].y);
-    if (!firstMove.success) {
-      return firstMove;
-    }
+    // Execute each step - the first one pays for the move
+    let result;
+    for (let i = 0; i < targets.length; i++) {
+      result = this.gameState.moveUnit(unitType, targets[i].x, targets[i].y, i > 0);
+      if (!result.success) {
+        return result;
+      }
 
-    // Check if unit died or was trapped on first move
-    if (!unit.alive || unit.trapped) {
-      return { 
-        success: true, 
-        partial: true,
-        message: 'Movement stopped after first tile' 
-      };
+      // Check if unit died or was trapped before its last step
+      if (i < targets.length - 1 && (!unit.alive || unit.trapped)) {
+        return { 
+          success: true, 
+          partial: true,
+          message: `Movement stopped after tile ${i + 1}` 
+        };
+      }
     }
-
-    // Execute second move
-    const secondMove = this.gameState.moveUnit(unitType, targets[1].x, targets[1].y);
-    return secondMove;
+    return result;
   }
 
   /**
@@ -0,0 +1,427 @@
+/**
+ * Computer offense - weighs every spawn and move by how far it gets and by what the hidden tiles
+ * in the way are likely to be, then spends the turn's gold on the ones worth the risk
+ * Returns commands in Engine.execute() format, so the same bot drives the UI or a headless Engine
+ */
+import { GamePhase, BOT_DIFFICULTIES } from '../utils/gameConfig.js';
+import { Orientation, getTileDefinition } from '../game/tileRegistry.js';
+import { createTile } from '../game/tiles.js';
+import { SeededRandom } from '../utils/seededRandom.js';
+import { TileBeliefs } from './tileBeliefs.js';
+
+// Gold one column of progress toward the defense endzone is worth
+const COLUMN_VALUE = 4;
+
+// Score of an action that wins the game, scaled by the odds it does
+const WIN_VALUE = 1000;
+
+// Commands taken in one turn at most - gold normally runs out long before
+const MAX_COMMANDS_PER_TURN = 40;
+
+const FORWARD = { dx: 1, dy: 0 };
+
+export class OffenseBot {
+  /**
+   * @param {GameState} gameState
+   * @param {string|null} difficulty - BotDifficulty value, or null to play at the game's computerDifficulty
+   */
+  constructor(gameState, difficulty = null) {
+    this.gameState = gameState;
+    this.difficulty = difficulty;
+    this.beliefs = new TileBeliefs(gameState);
+    this.odds = {}; // Hidden tile odds for the decision being made
+    this.commandTurn = null;
+    this.commandCount = 0;
+  }
+
+  /**
+   * Forget the previous game
+   */
+  reset() {
+    this.beliefs.reset();
+    this.commandTurn = null;
+    this.commandCount = 0;
+  }
+
+  /**
+   * Pick the next command of the offense turn
+   * Pending choices (cage release, Scout reveal) come first; the turn ends once nothing is worth its gold
+   * @returns {Object|null} Command for Engine.execute(), or null if it isn't offense's turn
+   */
+  chooseCommand() {
+    const gameState = this.gameState;
+    if (gameState.isGameOver() || gameState.phase !== GamePhase.OFFENSE) {
+      return null;
+    }
+
+    const level = this.getLevel();
+    const rng = this.getRandom();
+    if (this.commandTurn !== gameState.turn) {
+      this.commandTurn = gameState.turn;
+      this.commandCount = 0;
+      // Tiles revealed on earlier turns have been face down since
+      this.beliefs.forget(level.forgetChance, rng);
+    }
+    this.commandCount++;
+
+    this.beliefs.observe();
+    this.odds = level.countsBag ? this.beliefs.getHiddenOdds() : this.beliefs.getStartingOdds();
+
+    const choice = gameState.pendingChoice;
+    if (choice?.type === 'cageRelease') {
+      return this.chooseCageRelease(choice);
+    }
+    if (choice?.type === 'scoutReveal') {
+      return this.chooseReveal(choice);
+    }
+
+    if (this.commandCount > MAX_COMMANDS_PER_TURN) {
+      return { type: 'endTurn' };
+    }
+
+    const candidates = this.getCandidates();
+    let best = null;
+    for (const candidate of candidates) {
+      if (!best || candidate.score > best.score) {
+        best = candidate;
+      }
+    }
+    if (!best || best.score <= 0) {
+      return { type: 'endTurn' };
+    }
+    return rng.next() < level.randomChance ? rng.choice(candidates).command : best.command;
+  }
+
+  /**
+   * Get how well the bot plays
+   * @returns {Object} Entry of BOT_DIFFICULTIES
+   */
+  getLevel() {
+    return BOT_DIFFICULTIES[this.difficulty || this.gameState.getComputerDifficulty()];
+  }
+
+  /**
+   * Get the randomness for a decision, seeded by the game and how far it has got,
+   * so the same position is always played the same way (even after a save and load)
+   * @returns {SeededRandom}
+   */
+  getRandom() {
+    return SeededRandom.fromParts(this.gameState.config.tileBagSeed, this.gameState.actions.length);
+  }
+
+  /**
+   * Take note of what a command did
+   * @param {Object} command - The command from chooseCommand()
+   * @param {Object} result - Result of executing it
+   */
+  observeResult(command, result) {
+    // Rows that collapsed move what the bot remembers
+    this.beliefs.applyCollapses(result?.effects?.resolved);
+
+    // A Jumper turned back on landing leaves the tile face down
+    if (command?.type === 'move' && !result.success && result.goldLost) {
+      const unit = this.gameState.units[command.unitType];
+      if (unit.isJumpMove(command.x - unit.x, command.y - unit.y)) {
+        this.beliefs.rememberBlocked(command.x, command.y);
+      }
+    }
+  }
+
+  /**
+   * Score every spawn and move offense can afford
+   * @returns {Array} Array of { command, score }
+   */
+  getCandidates() {
+    const gameState = this.gameState;
+    const candidates = [];
+
+    for (const unit of Object.values(gameState.units)) {
+      if (!unit.alive) {
+        if (!unit.canRespawn || gameState.gold < unit.getSpawnCost(gameState.config)) continue;
+
+        for (const target of gameState.getSpawnTargets(unit.type)) {
+          candidates.push({
+            command: { type: 'spawn', unitType: unit.type, row: target.y },
+            score: this.scoreSpawn(unit, target.y)
+          });
+        }
+        continue;
+      }
+
+      if (unit.trapped || gameState.gold < unit.getMoveCost(gameState.config)) continue;
+
+      // A Move 2+ unit goes as far as it can whichever tile of a line is picked,
+      // so a line is only worth trying if its first tile can be entered
+      const moves = gameState.getValidMoves(unit.type);
+      const canStep = (dx, dy) => gameState.board.isDefenseEndzone(unit.x + dx) ||
+        moves.some(move => move.x === unit.x + dx && move.y === unit.y + dy);
+      const directions = new Set();
+      for (const move of moves) {
+        // The endzone is offered once, at a middle row - head straight into it
+        const target = gameState.board.isDefenseEndzone(move.x) ? { x: move.x, y: unit.y } : move;
+        const dx = target.x - unit.x;
+        const dy = target.y - unit.y;
+
+        if (unit.hasMultiStepMove() && !unit.isJumpMove(dx, dy)) {
+          const direction = `${Math.sign(dx)},${Math.sign(dy)}`;
+          if (directions.has(direction) || !canStep(Math.sign(dx), Math.sign(dy))) continue;
+          directions.add(direction);
+        }
+
+        candidates.push({
+          command: { type: 'move', unitType: unit.type, x: target.x, y: target.y },
+          score: this.scoreMove(unit, dx, dy)
+        });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Score spawning a unit onto a row: the column gained and the unit's worth on the board,
+   * if it survives the tile, against its cost
+   * @param {Unit} unit
+   * @param {number} row
+   * @returns {number}
+   */
+  scoreSpawn(unit, row) {
+    const cost = unit.getSpawnCost(this.gameState.config);
+    // Losing a unit just spawned costs nothing beyond the spawn, which is already counted
+    const path = this.assessPath(unit, -1, row, FORWARD, 1, 0);
+    const reach = Math.max(unit.getMoveRange(), unit.getJumpRange() + 1);
+    const potential = COLUMN_VALUE * reach + this.gameState.getTuning('goldPerActiveUnit');
+    return path.score + path.free * potential - cost;
+  }
+
+  /**
+   * Score moving a unit by an offset
+   * @param {Unit} unit
+   * @param {number} dx
+   * @param {number} dy
+   * @returns {number}
+   */
+  scoreMove(unit, dx, dy) {
+    const jump = unit.isJumpMove(dx, dy);
+    const step = jump ? { dx, dy } : { dx: Math.sign(dx), dy: Math.sign(dy) };
+    const steps = jump ? 1 : unit.getMoveRange();
+    const worth = unit.getSpawnCost(this.gameState.config);
+    return this.assessPath(unit, unit.x, unit.y, step, steps, worth).score - unit.getMoveCost(this.gameState.config);
+  }
+
+  /**
+   * Walk a move one tile at a time, adding up what each tile is likely to do to the unit
+   * @param {Unit} unit
+   * @param {number} x - Where the move starts
+   * @param {number} y
+   * @param {Object} step - {dx, dy} of each step
+   * @param {number} steps - Most steps the move takes
+   * @param {number} worth - Gold lost if the unit dies (half of it if it's caged)
+   * @returns {Object} { score, free } free is the odds the unit gets where the move takes it, alive and out of a cage
+   */
+  assessPath(unit, x, y, step, steps, worth) {
+    const gameState = this.gameState;
+    const board = gameState.board;
+    const penalty = gameState.getTuning('wallBumpPenalty');
+    let going = 1; // Odds the unit is still moving
+    let free = 1;
+    let progress = 0;
+    let risk = 0;
+    let win = 0;
+
+    for (let i = 0; i < steps && going > 0; i++) {
+      x += step.dx;
+      y += step.dy;
+
+      if (board.isDefenseEndzone(x)) {
+        win += going;
+        break;
+      }
+      // Later steps stop at the end of the row or at another unit
+      if (!board.getTile(x, y) || (i > 0 && !gameState.canEnterTile(unit, x, y))) break;
+
+      const outcome = this.assessTile(unit, x, y, step);
+      progress += going * ((1 - outcome.blocked - outcome.death) * step.dx + outcome.push);
+      risk += going * (outcome.death * worth + outcome.trap * worth / 2 + outcome.blocked * penalty - outcome.gain);
+      free -= going * (outcome.death + outcome.trap + outcome.blocked);
+      if (gameState.isLastTileRule() && x === board.maxColumn) {
+        win += going * (1 - outcome.stop);
+      }
+      going *= 1 - outcome.stop;
+    }
+
+    return { score: WIN_VALUE * win + COLUMN_VALUE * progress - risk, free: Math.max(0, free) };
+  }
+
+  /**
+   * Estimate what entering a tile does to a unit: exactly if the tile is known, averaged over
+   * the hidden tile odds otherwise
+   * @param {Unit} unit
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} direction - {dx, dy} the unit enters with
+   * @returns {Object} { death, trap, blocked, stop } odds, push (expected columns moved on) and gain (expected gold)
+   */
+  assessTile(unit, x, y, direction) {
+    const known = this.beliefs.getKnownTile(x, y);
+    if (known?.faceUp) {
+      return this.assessFaceUpTile(unit, x, y, direction);
+    }
+    if (known?.blocked) {
+      return { ...noOutcome(), blocked: 1, stop: 1 };
+    }
+    if (known) {
+      return known.disarmed ? noOutcome() : this.assessTileType(known.type, unit, x, y, direction);
+    }
+
+    const outcome = noOutcome();
+    for (const [type, odds] of Object.entries(this.odds)) {
+      const typeOutcome = this.assessTileType(type, unit, x, y, direction);
+      for (const key of Object.keys(outcome)) {
+        outcome[key] += odds * typeOutcome[key];
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Estimate entering a face-up tile - most face-up tiles no longer go off
+   * @param {Unit} unit
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} direction
+   * @returns {Object} See assessTile()
+   */
+  assessFaceUpTile(unit, x, y, direction) {
+    const tile = this.gameState.board.getTile(x, y);
+    const outcome = noOutcome();
+
+    if (tile.blocksMovement() || tile.blocksEntry(direction)) {
+      outcome.blocked = 1;
+      outcome.stop = 1;
+    } else if (this.gameState.getAliveUnits().some(other => other.trapped && other.x === x && other.y === y)) {
+      // A cage holding a unit springs again on whoever frees it
+      outcome.trap = 1;
+      outcome.stop = 1;
+    } else if (tile.hasPendingTreasure()) {
+      outcome.gain = this.gameState.getTuning('treasureGold');
+    } else if (tile.isPaired() && !tile.disarmed) {
+      outcome.stop = 1;
+    }
+    return outcome;
+  }
+
+  /**
+   * Estimate entering a face-down tile of a given type
+   * @param {string} type
+   * @param {Unit} unit
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} direction
+   * @returns {Object} See assessTile()
+   */
+  assessTileType(type, unit, x, y, direction) {
+    const definition = getTileDefinition(type);
+    const outcome = noOutcome();
+    if (!definition) return outcome;
+
+    if (definition.blocksMovement) {
+      outcome.blocked = 1;
+      outcome.stop = 1;
+      return outcome;
+    }
+
+    const tile = createTile(type, x, y);
+    if (definition.oriented) {
+      // Any way the tile could point is as likely as the others
+      const orientations = Object.values(Orientation);
+      const blocking = orientations.filter(orientation => {
+        tile.orientation = orientation;
+        return tile.blocksEntry(direction);
+      });
+      outcome.blocked = blocking.length / orientations.length;
+      outcome.stop = outcome.blocked;
+    }
+
+    const effects = definition.onEnter ? definition.onEnter(tile, unit, direction) : {};
+    if (effects.killed || effects.bomb || effects.rockfall) {
+      outcome.death = 1;
+    } else if (effects.trapped) {
+      outcome.trap = 1;
+    } else if (effects.pushed) {
+      outcome.push = Math.sign(effects.pushed.dx);
+    }
+    if (effects.treasure) {
+      outcome.gain = this.gameState.getTuning('treasureGold');
+    }
+    if (outcome.death || outcome.trap || effects.pushed || effects.teleport) {
+      outcome.stop = 1;
+    }
+    return outcome;
+  }
+
+  /**
+   * Pick where a freed unit steps out of its cage
+   * @param {Object} choice - The pending cage release
+   * @returns {Object} Command
+   */
+  chooseCageRelease(choice) {
+    const unit = this.gameState.units[choice.unitType];
+    const worth = unit.getSpawnCost(this.gameState.config);
+    let best = null;
+
+    for (const option of choice.options) {
+      const step = { dx: option.x - unit.x, dy: option.y - unit.y };
+      const score = this.assessPath(unit, unit.x, unit.y, step, 1, worth).score;
+      if (!best || score > best.score) {
+        best = { option, score };
+      }
+    }
+    return { type: 'cageRelease', x: best.option.x, y: best.option.y };
+  }
+
+  /**
+   * Pick the tile a Scout reveals: the most dangerous one, ahead of the Scout if possible
+   * (revealing a trap disarms it)
+   * @param {Object} choice - The pending Scout reveal
+   * @returns {Object} Command
+   */
+  chooseReveal(choice) {
+    const unit = this.gameState.units[choice.unitType];
+    let best = null;
+
+    for (const option of choice.options) {
+      const direction = { dx: option.x - unit.x, dy: option.y - unit.y };
+      const outcome = this.assessTile(unit, option.x, option.y, direction);
+      const score = outcome.death + outcome.trap + outcome.blocked + (direction.dx > 0 ? 1 : 0);
+      if (!best || score > best.score) {
+        best = { option, score };
+      }
+    }
+    return { type: 'scoutReveal', unitType: unit.type, x: best.option.x, y: best.option.y };
+  }
+
+  /**
+   * Serialize what the bot remembers
+   * @returns {Object}
+   */
+  toJSON() {
+    return { remembered: this.beliefs.toJSON() };
+  }
+
+  /**
+   * Restore memory saved by toJSON()
+   * @param {Object|undefined} data
+   */
+  restore(data) {
+    this.beliefs.restore(data?.remembered);
+  }
+}
+
+/**
+ * Outcome of entering a tile that does nothing
+ * @returns {Object}
+ */
+function noOutcome() {
+  return { death: 0, trap: 0, blocked: 0, stop: 0, push: 0, gain: 0 };
+}
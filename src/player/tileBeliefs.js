@@ -0,0 +1,159 @@
+/**
+ * What offense knows about the tiles on the board - the tiles it can see face up, the ones it
+ * remembers from earlier reveals, and the odds for everything still hidden
+ * Reads only what offense is shown: face-down tile types are never looked at
+ */
+
+export class TileBeliefs {
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.remembered = new Map(); // "x,y" -> { type, disarmed, blocked } seen face up, possibly hidden again since
+  }
+
+  /**
+   * Forget everything (new game)
+   */
+  reset() {
+    this.remembered.clear();
+  }
+
+  /**
+   * Remember every tile that is face up right now
+   * Call before each decision and before the turn ends, while this turn's reveals are still showing
+   */
+  observe() {
+    const board = this.gameState.board;
+    for (const [key] of this.remembered) {
+      const [x, y] = key.split(',').map(Number);
+      if (!board.getTile(x, y)) {
+        this.remembered.delete(key);
+      }
+    }
+
+    for (const tile of board.getAllTiles()) {
+      if (tile.revealed) {
+        this.remembered.set(`${tile.x},${tile.y}`, { type: tile.type, disarmed: tile.disarmed, blocked: false });
+      }
+    }
+  }
+
+  /**
+   * Remember a face-down tile that turned a unit back without being revealed (a Jumper landing on a wall)
+   * @param {number} x
+   * @param {number} y
+   */
+  rememberBlocked(x, y) {
+    const key = `${x},${y}`;
+    if (!this.remembered.has(key)) {
+      this.remembered.set(key, { type: null, disarmed: false, blocked: true });
+    }
+  }
+
+  /**
+   * Forget some of the tiles seen revealed earlier
+   * @param {number} chance - Odds of forgetting each one
+   * @param {SeededRandom} rng
+   */
+  forget(chance, rng) {
+    if (chance <= 0) return;
+    for (const key of Array.from(this.remembered.keys())) {
+      if (rng.next() < chance) {
+        this.remembered.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Follow the board as destroyed tiles are removed and rows shift left
+   * @param {Array} resolved - Resolved effects of a command (collapse effects carry the position map)
+   */
+  applyCollapses(resolved = []) {
+    for (const effect of resolved) {
+      if (effect.type !== 'collapse') continue;
+
+      const shifted = new Map();
+      for (const [key, entry] of this.remembered) {
+        const to = effect.positionMap.get(key);
+        if (to) {
+          shifted.set(`${to.x},${to.y}`, entry);
+        }
+      }
+      this.remembered = shifted;
+    }
+  }
+
+  /**
+   * Get what is known about a tile
+   * @param {number} x
+   * @param {number} y
+   * @returns {Object|null} { type, disarmed, blocked, faceUp } or null if the tile is hidden and never seen;
+   *   type is null for a tile only known to turn units back
+   */
+  getKnownTile(x, y) {
+    const tile = this.gameState.board.getTile(x, y);
+    if (!tile) return null;
+    if (tile.revealed) {
+      return { type: tile.type, disarmed: tile.disarmed, blocked: false, faceUp: true };
+    }
+
+    const entry = this.remembered.get(`${x},${y}`);
+    return entry ? { ...entry, faceUp: false } : null;
+  }
+
+  /**
+   * Get the odds of each tile type for a hidden tile nobody has seen
+   * Tiles drawn from the bag so far, less the ones known on the board, are what the hidden tiles can be
+   * (tiles destroyed unseen stay in the pool, which slightly blurs the odds)
+   * @returns {Object} Map of tile type -> probability (empty if nothing can be hidden)
+   */
+  getHiddenOdds() {
+    const remaining = this.gameState.tileBag.getRemainingCounts();
+    const pool = {};
+    for (const [type, count] of Object.entries(this.gameState.config.tileBag)) {
+      pool[type] = count - (remaining[type] || 0);
+    }
+
+    for (const tile of this.gameState.board.getAllTiles()) {
+      const known = this.getKnownTile(tile.x, tile.y);
+      if (known?.type && pool[known.type] > 0) {
+        pool[known.type]--;
+      }
+    }
+
+    const total = Object.values(pool).reduce((sum, count) => sum + Math.max(0, count), 0);
+    if (total === 0) return {};
+
+    return Object.fromEntries(
+      Object.entries(pool)
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => [type, count / total])
+    );
+  }
+
+  /**
+   * Get the odds of each tile type in the bag as it was at the start of the game
+   * (what a player who doesn't count the tiles drawn would expect)
+   * @returns {Object} Map of tile type -> probability
+   */
+  getStartingOdds() {
+    const counts = Object.entries(this.gameState.config.tileBag).filter(([, count]) => count > 0);
+    const total = counts.reduce((sum, [, count]) => sum + count, 0);
+    return Object.fromEntries(counts.map(([type, count]) => [type, count / total]));
+  }
+
+  /**
+   * Serialize the memory (saved with the session so a resumed game remembers the same tiles)
+   * @returns {Array}
+   */
+  toJSON() {
+    return Array.from(this.remembered.entries()).map(([key, entry]) => [key, { ...entry }]);
+  }
+
+  /**
+   * Restore memory saved by toJSON()
+   * @param {Array|undefined} data - Missing in sessions saved before the computer remembered tiles
+   */
+  restore(data) {
+    this.remembered = new Map((data || []).map(([key, entry]) => [key, { ...entry }]));
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * Text protocol for bots written in any language - a line-based exchange in the style of UCI
+ * Describes the state one side is allowed to see (offense never sees face-down tile types)
+ * and applies that side's text commands to an Engine. Transport-free: tools/arena.js runs it
+ * over the stdin/stdout of bot processes.
+ *
+ * Commands (whitespace-separated, one per line):
+ *   place <row> <tileType> [orientation]  defense: assign a tile of the draw to a row of the next column
+ *   end                                   end the turn (defense: place the column once every row is assigned)
+ *   spawn <unitType> <row>                offense: spawn a unit onto a row of the first column
+ *   move <unitType> <x> <y>               offense: move a unit
+ *   reveal <x> <y>                        offense: the pending Scout reveal
+ *   skip                                  offense: pass on the pending Scout reveal
+ *   release <x> <y>                       offense: where the unit freed from a cage steps out
+ */
+import { GamePhase } from '../utils/gameConfig.js';
+import { getOrientationVector } from '../game/tileRegistry.js';
+import { DefensePlayer } from '../player/defense.js';
+
+export const PROTOCOL_VERSION = 1;
+
+export class ProtocolSession {
+  constructor(engine) {
+    this.engine = engine;
+    this.gameState = engine.gameState;
+    this.defensePlayer = new DefensePlayer(engine.gameState); // Rows assigned so far this defense turn
+  }
+
+  /**
+   * Get the side that has to act
+   * @returns {string|null} GamePhase value, or null once the game is over
+   */
+  getSideToMove() {
+    return this.gameState.isGameOver() ? null : this.gameState.phase;
+  }
+
+  /**
+   * Describe what a side can see, ending with every command it may send
+   *
+   *   state
+   *   side <offense|defense>
+   *   turn <n>
+   *   phase <offense|defense>
+   *   gold <n>
+   *   board <columns> <rows>
+   *   row <y> <tile> ...           one tile per column: '.' for no tile, '?' for a face-down tile
+   *                                offense can't see, else type[:orientation][:disarmed][:hidden]
+   *                                (hidden marks a tile defense sees but offense doesn't)
+   *   unit <type> free <x> <y>     also trapped <x> <y>, reserve (can be spawned) or dead
+   *                                (back in reserve next turn)
+   *   bag <tileType> <count> ...   tiles left in the bag
+   *   draw <tileType> ...          defense: tiles drawn this turn
+   *   assigned <row> <tile>        defense: tiles assigned so far this turn
+   *   choice <cageRelease|scoutReveal> <unitType>   offense: what must be resolved first
+   *   legal <command>              every command accepted now (defense: placements into empty rows)
+   * @param {string} side - GamePhase value
+   * @returns {Array} Lines of text
+   */
+  describeState(side) {
+    const gameState = this.gameState;
+    const board = gameState.board;
+    const lines = [
+      'state',
+      `side ${side}`,
+      `turn ${gameState.turn}`,
+      `phase ${gameState.phase}`,
+      `gold ${gameState.gold}`,
+      `board ${board.maxColumn + 1} ${board.totalPaths}`
+    ];
+
+    for (let y = 0; y < board.totalPaths; y++) {
+      const tiles = [];
+      for (let x = 0; x <= board.maxColumn; x++) {
+        tiles.push(describeTile(board.getTile(x, y), side));
+      }
+      lines.push(`row ${y} ${tiles.join(' ')}`.trimEnd());
+    }
+
+    for (const unit of Object.values(gameState.units)) {
+      if (unit.alive) {
+        lines.push(`unit ${unit.type} ${unit.trapped ? 'trapped' : 'free'} ${unit.x} ${unit.y}`);
+      } else {
+        lines.push(`unit ${unit.type} ${unit.canRespawn ? 'reserve' : 'dead'}`);
+      }
+    }
+
+    const bag = Object.entries(gameState.tileBag.getRemainingCounts()).filter(([, count]) => count > 0);
+    lines.push(`bag ${bag.map(([type, count]) => `${type} ${count}`).join(' ')}`.trimEnd());
+
+    if (side === GamePhase.DEFENSE) {
+      lines.push(`draw ${gameState.currentDraw.join(' ')}`.trimEnd());
+      const orientations = this.defensePlayer.getOrientations();
+      for (const [row, type] of this.defensePlayer.getAssignments()) {
+        lines.push(`assigned ${row} ${orientations.has(row) ? `${type}:${orientations.get(row)}` : type}`);
+      }
+    } else if (gameState.pendingChoice) {
+      lines.push(`choice ${gameState.pendingChoice.type} ${gameState.pendingChoice.unitType}`);
+    }
+
+    if (this.getSideToMove() === side) {
+      lines.push(...this.getLegalCommands(side).map(command => `legal ${command}`));
+    }
+    return lines;
+  }
+
+  /**
+   * List the commands a side may send now
+   * @param {string} side - GamePhase value
+   * @returns {Array} Command strings
+   */
+  getLegalCommands(side) {
+    const gameState = this.gameState;
+    if (this.getSideToMove() !== side) return [];
+
+    if (side === GamePhase.DEFENSE) {
+      const assigned = this.defensePlayer.getAssignments();
+      const types = Array.from(new Set(this.defensePlayer.getAvailableTiles()));
+      const commands = [];
+      for (let row = 0; row < gameState.config.totalPaths; row++) {
+        if (!assigned.has(row)) {
+          commands.push(...types.map(type => `place ${row} ${type}`));
+        }
+      }
+      if (this.defensePlayer.isPlacementComplete()) {
+        commands.push('end');
+      }
+      return commands;
+    }
+
+    const choice = gameState.pendingChoice;
+    if (choice?.type === 'cageRelease') {
+      return choice.options.map(option => `release ${option.x} ${option.y}`);
+    }
+    if (choice?.type === 'scoutReveal') {
+      return [...choice.options.map(option => `reveal ${option.x} ${option.y}`), 'skip'];
+    }
+
+    const commands = [];
+    for (const unit of Object.values(gameState.units)) {
+      if (!unit.alive) {
+        if (unit.canRespawn && gameState.gold >= unit.getSpawnCost(gameState.config)) {
+          commands.push(...gameState.getSpawnTargets(unit.type).map(target => `spawn ${unit.type} ${target.y}`));
+        }
+      } else if (!unit.trapped && gameState.gold >= unit.getMoveCost(gameState.config)) {
+        commands.push(...this.getMoveTargets(unit).map(move => `move ${unit.type} ${move.x} ${move.y}`));
+      }
+    }
+    commands.push('end');
+    return commands;
+  }
+
+  /**
+   * Get the targets a move command for a unit is accepted with
+   * @param {Unit} unit - A free unit on the board
+   * @returns {Array} Array of {x, y} positions
+   */
+  getMoveTargets(unit) {
+    const board = this.gameState.board;
+    const moves = this.gameState.getValidMoves(unit.type);
+    // A Move 2+ unit heads along a line as far as it can, so it needs the first tile of the line
+    const canStep = (dx, dy) => board.isDefenseEndzone(unit.x + dx) ||
+      moves.some(move => move.x === unit.x + dx && move.y === unit.y + dy);
+
+    return moves
+      // The endzone is offered once, at a middle row - it is entered straight ahead
+      .map(move => board.isDefenseEndzone(move.x) ? { x: move.x, y: unit.y } : move)
+      .filter(move => {
+        const dx = move.x - unit.x;
+        const dy = move.y - unit.y;
+        return !unit.hasMultiStepMove() || unit.isJumpMove(dx, dy) || canStep(Math.sign(dx), Math.sign(dy));
+      });
+  }
+
+  /**
+   * Apply a command sent by a side
+   * @param {string} side - GamePhase value
+   * @param {string} line - Command text
+   * @returns {Object} { success, error, command, result, events } where command is the Engine
+   *   command it became (null for defense assignments) and events the messages it logged
+   */
+  execute(side, line) {
+    const eventCount = this.gameState.events.length;
+    const outcome = this.applyCommand(side, String(line).trim().split(/\s+/));
+    return {
+      ...outcome,
+      events: this.gameState.events.slice(eventCount).map(event => event.message)
+    };
+  }
+
+  /**
+   * Apply a command split into words
+   * @param {string} side
+   * @param {Array} words
+   * @returns {Object} { success, error, command, result }
+   */
+  applyCommand(side, words) {
+    if (this.getSideToMove() !== side) {
+      return fail(this.gameState.isGameOver() ? 'Game is over' : `Not ${side}'s turn`);
+    }
+
+    const [name, ...args] = words;
+    if (side === GamePhase.DEFENSE) {
+      if (name === 'place') return this.applyPlacement(args);
+      if (name === 'end') return this.applyColumn();
+      return fail(`Unknown defense command: ${name}`);
+    }
+
+    const command = this.parseOffenseCommand(name, args);
+    if (command.error) {
+      return fail(command.error);
+    }
+
+    const result = this.engine.execute(command);
+    // A wall bump is a failed move that still changed the game
+    return {
+      success: result.success || Boolean(result.goldLost),
+      error: result.error,
+      command,
+      result
+    };
+  }
+
+  /**
+   * Turn an offense command into an Engine command
+   * @param {string} name
+   * @param {Array} args
+   * @returns {Object} Engine command, or { error }
+   */
+  parseOffenseCommand(name, args) {
+    const numbers = args.map(Number);
+    const choice = this.gameState.pendingChoice;
+
+    switch (name) {
+      case 'spawn':
+        if (args.length !== 2 || !Number.isInteger(numbers[1])) return { error: 'Usage: spawn <unitType> <row>' };
+        if (!this.gameState.units[args[0]]) return { error: `Unknown unit: ${args[0]}` };
+        return { type: 'spawn', unitType: args[0], row: numbers[1] };
+      case 'move':
+        if (args.length !== 3 || !numbers.slice(1).every(Number.isInteger)) return { error: 'Usage: move <unitType> <x> <y>' };
+        if (!this.gameState.units[args[0]]) return { error: `Unknown unit: ${args[0]}` };
+        return { type: 'move', unitType: args[0], x: numbers[1], y: numbers[2] };
+      case 'reveal':
+        if (args.length !== 2 || !numbers.every(Number.isInteger)) return { error: 'Usage: reveal <x> <y>' };
+        if (choice?.type !== 'scoutReveal') return { error: 'No Scout reveal is pending' };
+        return { type: 'scoutReveal', unitType: choice.unitType, x: numbers[0], y: numbers[1] };
+      case 'skip':
+        if (choice?.type !== 'scoutReveal') return { error: 'No Scout reveal is pending' };
+        return { type: 'skipReveal', unitType: choice.unitType };
+      case 'release':
+        if (args.length !== 2 || !numbers.every(Number.isInteger)) return { error: 'Usage: release <x> <y>' };
+        return { type: 'cageRelease', x: numbers[0], y: numbers[1] };
+      case 'end':
+        return { type: 'endTurn' };
+      default:
+        return { error: `Unknown offense command: ${name}` };
+    }
+  }
+
+  /**
+   * Assign a tile of the draw to a row
+   * @param {Array} args - [row, tileType, orientation]
+   * @returns {Object} { success, error, command, result }
+   */
+  applyPlacement(args) {
+    const [rowText, tileType, orientation = null] = args;
+    const row = Number(rowText);
+    if (args.length < 2 || args.length > 3 || !Number.isInteger(row)) {
+      return fail('Usage: place <row> <tileType> [orientation]');
+    }
+    if (orientation && !getOrientationVector(orientation)) {
+      return fail(`Unknown orientation: ${orientation}`);
+    }
+
+    // Placing the row's own tile again (to turn it) puts it back in the draw first
+    if (this.defensePlayer.getAssignments().get(row) === tileType) {
+      this.defensePlayer.clearAssignment(row);
+    }
+    const result = this.defensePlayer.assignTileToRow(row, tileType, orientation);
+    if (!result.success) {
+      return fail(`Cannot place ${tileType} in row ${rowText} (not in the draw, or no such row)`);
+    }
+    return { success: true, command: null, result };
+  }
+
+  /**
+   * Place the assigned column and end the defense turn
+   * @returns {Object} { success, error, command, result }
+   */
+  applyColumn() {
+    if (!this.defensePlayer.isPlacementComplete()) {
+      return fail('Every row must be assigned a tile first');
+    }
+
+    const tiles = [];
+    const orientations = [];
+    for (let row = 0; row < this.gameState.config.totalPaths; row++) {
+      tiles.push(this.defensePlayer.getAssignments().get(row));
+      orientations.push(this.defensePlayer.getOrientations().get(row) || null);
+    }
+
+    const command = { type: 'placeColumn', tiles, orientations };
+    const result = this.engine.execute(command);
+    if (result.success) {
+      this.defensePlayer.clearAllAssignments();
+    }
+    return { success: result.success, error: result.error, command, result };
+  }
+}
+
+/**
+ * Write an Engine command as protocol commands (a column takes one placement per row, then end)
+ * @param {Object} command - Command in Engine.execute() format
+ * @returns {Array} Command strings
+ */
+export function formatCommand(command) {
+  switch (command.type) {
+    case 'placeColumn':
+      return [
+        ...command.tiles.map((type, row) =>
+          `place ${row} ${type}${command.orientations?.[row] ? ` ${command.orientations[row]}` : ''}`
+        ),
+        'end'
+      ];
+    case 'spawn':
+      return [`spawn ${command.unitType} ${command.row}`];
+    case 'move':
+      return [`move ${command.unitType} ${command.x} ${command.y}`];
+    case 'scoutReveal':
+      return [`reveal ${command.x} ${command.y}`];
+    case 'skipReveal':
+      return ['skip'];
+    case 'cageRelease':
+      return [`release ${command.x} ${command.y}`];
+    case 'endTurn':
+      return ['end'];
+    default:
+      throw new Error(`No protocol command for ${command.type}`);
+  }
+}
+
+/**
+ * Describe one tile for a side
+ * @param {Tile|null} tile
+ * @param {string} side
+ * @returns {string}
+ */
+function describeTile(tile, side) {
+  if (!tile) return '.';
+  if (!tile.revealed && side === GamePhase.OFFENSE) return '?';
+
+  let text = tile.type;
+  if (tile.orientation) text += `:${tile.orientation}`;
+  if (tile.disarmed) text += ':disarmed';
+  if (!tile.revealed) text += ':hidden';
+  return text;
+}
+
+/**
+ * Result of a command that was turned down
+ * @param {string} error
+ * @returns {Object}
+ */
+function fail(error) {
+  return { success: false, error, command: null, result: null };
+}
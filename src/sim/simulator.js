@@ -0,0 +1,202 @@
+/**
+ * Batch self-play - plays computer-vs-computer games over seeds and config variants and gathers
+ * balance statistics: win rates, game length, what kills units and where offense's gold goes
+ * Imports nothing from the UI so it runs from Node (see tools/simulate.js)
+ */
+import { createEngine } from '../game/engine.js';
+import { GamePhase, BotDifficulty } from '../utils/gameConfig.js';
+import { OffenseBot } from '../player/offenseBot.js';
+import { DefenseBot } from '../player/defenseBot.js';
+
+// Commands one game may take before it is given up as stuck - bots finish far sooner
+const MAX_COMMANDS_PER_GAME = 5000;
+
+/**
+ * Play one game between the computer offense and defense
+ * @param {Object} overrides - Config values for the game (see createGameSetup)
+ * @param {number} seed - Tile bag seed
+ * @param {Object} options - { offense, defense } BotDifficulty of each side (hard by default)
+ * @returns {Object} { winner, turns, deaths, goldSpent, spawns, rejected } where winner is null
+ *   for a game given up as stuck, deaths counts deaths by cause (tile type, 'explosion' or
+ *   'crushed'), goldSpent and spawns are by unit type, and rejected counts commands the
+ *   engine turned down
+ */
+export function simulateGame(overrides, seed, options = {}) {
+  const engine = createEngine(overrides, seed);
+  const gameState = engine.gameState;
+  const offense = new OffenseBot(gameState, options.offense || BotDifficulty.HARD);
+  const defense = new DefenseBot(gameState, options.defense || BotDifficulty.HARD);
+  const stats = { winner: null, turns: 0, deaths: {}, goldSpent: {}, spawns: {}, rejected: 0 };
+
+  for (let count = 0; count < MAX_COMMANDS_PER_GAME && !engine.isGameOver(); count++) {
+    if (engine.getPhase() === GamePhase.DEFENSE) {
+      const result = engine.execute(defense.chooseCommand());
+      if (!result.success) {
+        stats.rejected++;
+        break;
+      }
+      continue;
+    }
+
+    const command = offense.chooseCommand();
+    const unitType = command.unitType || gameState.pendingChoice?.unitType;
+    const goldBefore = gameState.gold;
+    const result = engine.execute(command);
+    offense.observeResult(command, result);
+
+    if (!result.success && !result.goldLost) {
+      // Don't let a bad command stall the game
+      stats.rejected++;
+      if (command.type !== 'endTurn' && !engine.endTurn().success) break;
+      continue;
+    }
+
+    const resolved = result.effects?.resolved || [];
+    if (unitType) {
+      // Treasure picked up on the way pays back part of the cost
+      const treasure = resolved
+        .filter(effect => effect.type === 'treasure')
+        .reduce((sum, effect) => sum + effect.gold, 0);
+      addCount(stats.goldSpent, unitType, goldBefore - gameState.gold + treasure);
+    }
+    if (command.type === 'spawn') {
+      addCount(stats.spawns, command.unitType, 1);
+    }
+    for (const effect of resolved) {
+      if (effect.type === 'kill') {
+        addCount(stats.deaths, effect.cause, 1);
+      }
+    }
+  }
+
+  stats.winner = engine.getWinner();
+  stats.turns = gameState.turn;
+  return stats;
+}
+
+/**
+ * Play a batch of games for each config variant, every variant over the same seeds
+ * @param {Object} options
+ * @param {Object} options.variants - Map of variant name -> config overrides ({ base: {} } if missing)
+ * @param {number} options.games - Games per variant
+ * @param {number} options.firstSeed - Seed of the first game; the rest follow on from it
+ * @param {string} options.offense - BotDifficulty of the computer offense
+ * @param {string} options.defense - BotDifficulty of the computer defense
+ * @param {Function} options.onGame - Optional callback (variantName, gameIndex, stats) after each game
+ * @returns {Object} Report: the options and one summary per variant
+ */
+export function runSimulation({
+  variants = { base: {} },
+  games = 100,
+  firstSeed = 1,
+  offense = BotDifficulty.HARD,
+  defense = BotDifficulty.HARD,
+  onGame = null
+} = {}) {
+  const summaries = [];
+
+  for (const [name, overrides] of Object.entries(variants)) {
+    const summary = {
+      name,
+      overrides,
+      games,
+      wins: { [GamePhase.OFFENSE]: 0, [GamePhase.DEFENSE]: 0 },
+      unfinished: 0,
+      winRate: {},
+      averageTurns: 0,
+      deaths: {},
+      goldSpent: {},
+      goldSpentPerGame: {},
+      spawns: {},
+      rejected: 0
+    };
+    let turns = 0;
+
+    for (let index = 0; index < games; index++) {
+      const stats = simulateGame(overrides, firstSeed + index, { offense, defense });
+      if (stats.winner) {
+        summary.wins[stats.winner]++;
+      } else {
+        summary.unfinished++;
+      }
+      turns += stats.turns;
+      summary.rejected += stats.rejected;
+      mergeCounts(summary.deaths, stats.deaths);
+      mergeCounts(summary.goldSpent, stats.goldSpent);
+      mergeCounts(summary.spawns, stats.spawns);
+
+      if (onGame) {
+        onGame(name, index, stats);
+      }
+    }
+
+    for (const [side, wins] of Object.entries(summary.wins)) {
+      summary.winRate[side] = games > 0 ? wins / games : 0;
+    }
+    summary.averageTurns = games > 0 ? turns / games : 0;
+    for (const [unitType, gold] of Object.entries(summary.goldSpent)) {
+      summary.goldSpentPerGame[unitType] = gold / games;
+    }
+    summaries.push(summary);
+  }
+
+  return { games, firstSeed, offense, defense, variants: summaries };
+}
+
+/**
+ * Flatten a report into CSV, one row per variant and statistic
+ * @param {Object} report - Result of runSimulation()
+ * @returns {string} CSV with the columns variant, statistic, key, value
+ */
+export function reportToCSV(report) {
+  const rows = [['variant', 'statistic', 'key', 'value']];
+
+  for (const summary of report.variants) {
+    const add = (statistic, key, value) => rows.push([summary.name, statistic, key, value]);
+    add('games', '', summary.games);
+    for (const [side, rate] of Object.entries(summary.winRate)) {
+      add('winRate', side, rate);
+    }
+    add('unfinished', '', summary.unfinished);
+    add('averageTurns', '', summary.averageTurns);
+    for (const statistic of ['deaths', 'goldSpent', 'goldSpentPerGame', 'spawns']) {
+      for (const [key, value] of Object.entries(summary[statistic])) {
+        add(statistic, key, value);
+      }
+    }
+    add('rejected', '', summary.rejected);
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Add to a count in a map of counts
+ * @param {Object} counts
+ * @param {string} key
+ * @param {number} amount
+ */
+function addCount(counts, key, amount) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+/**
+ * Add every count of one map of counts to another
+ * @param {Object} totals
+ * @param {Object} counts
+ */
+function mergeCounts(totals, counts) {
+  for (const [key, amount] of Object.entries(counts)) {
+    addCount(totals, key, amount);
+  }
+}
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -2,6 +2,7 @@
  * Board renderer - Canvas-based rendering for the game board
  */
 import { getImageLoader } from '../utils/imageLoader.js';
+import { getTileDefinition, getOrientationVector } from '../game/tileRegistry.js';
 
 export class BoardRenderer {
   constructor(canvas, gameState) {
@@ -27,6 +28,10 @@ export class BoardRenderer {
       tileHidden: '#2d3748',
       tileRevealed: '#4a5568',
       highlight: '#ffd166',
+      choice: '#ff8c42',
+      disarmed: 'rgba(26, 26, 46, 0.55)',
+      treasurePending: '#fbbf24',
+      teleport: '#c4b5fd',
       selected: '#06d6a0',
       preview: '#4a5568'
     };
@@ -34,12 +39,15 @@ export class BoardRenderer {
     // Mouse interaction
     this.hoveredTile = null;
     this.highlightedTiles = [];
+    this.choiceTiles = []; // Options for a pending choice (e.g. where a freed unit goes)
     
     // Preview tiles for defense placement
     this.previewTiles = new Map(); // row -> tileType
+    this.previewOrientations = new Map(); // row -> orientation of oriented preview tiles
     
     // Cursor tile (tile being held)
     this.cursorTile = null;
+    this.cursorOrientation = null;
     this.cursorPos = { x: 0, y: 0 };
     
     this.resizeCanvas();
@@ -138,12 +146,29 @@ export class BoardRenderer {
     this.highlightedTiles = [];
   }
 
+  /**
+   * Set tiles offered by a pending choice
+   * @param {Array} tiles - Array of {x, y}
+   */
+  setChoiceTiles(tiles) {
+    this.choiceTiles = tiles;
+  }
+
+  /**
+   * Clear pending choice tiles
+   */
+  clearChoiceTiles() {
+    this.choiceTiles = [];
+  }
+
   /**
    * Set preview tiles for defense placement
    * @param {Map} tiles - Map of row -> tileType
+   * @param {Map} orientations - Map of row -> orientation, for oriented tiles
    */
-  setPreviewTiles(tiles) {
+  setPreviewTiles(tiles, orientations = new Map()) {
     this.previewTiles = tiles;
+    this.previewOrientations = orientations;
   }
 
   /**
@@ -151,14 +176,17 @@ export class BoardRenderer {
    */
   clearPreviewTiles() {
     this.previewTiles = new Map();
+    this.previewOrientations = new Map();
   }
 
   /**
    * Set cursor tile (tile being held)
    * @param {string} tileType 
+   * @param {string|null} orientation - Way the tile points, if it is oriented
    */
-  setCursorTile(tileType) {
+  setCursorTile(tileType, orientation = null) {
     this.cursorTile = tileType;
+    this.cursorOrientation = orientation;
   }
 
   /**
@@ -166,6 +194,7 @@ export class BoardRenderer {
    */
   clearCursorTile() {
     this.cursorTile = null;
+    this.cursorOrientation = null;
   }
 
   /**
@@ -284,79 +313,34 @@ export class BoardRenderer {
     
     for (const [row, tileType] of this.previewTiles.entries()) {
       const pos = this.getTilePosition(nextColumn, row);
+      const definition = getTileDefinition(tileType);
+      const orientation = this.previewOrientations.get(row);
       
       // Draw semi-transparent tile
       this.ctx.globalAlpha = 0.7;
       
       if (this.imageLoader.isLoaded()) {
         // Get tile image based on type
-        const imageMap = {
-          'blank': 'empty.png',
-          'spike_trap': 'trap_spikes.png',
-          'cage_trap': 'trap_cage.png',
-          'oil_slick_trap': 'trap_oilslick.png',
-          'pushback_trap': 'trap_pushback.png',
-          'bomb_trap': 'trap_bomb.png',
-          'wall': 'wall.png',
-          'treasure': 'treasure.png'
-        };
-        const imageName = imageMap[tileType] || 'empty.png';
+        const imageName = definition?.image;
         const image = this.imageLoader.getImage(imageName);
         
         if (image) {
           this.ctx.drawImage(image, pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
         } else {
-          // Fallback to color
-          const colors = {
-            'blank': '#4a5568',
-            'spike_trap': '#ef476f',
-            'cage_trap': '#8b4513',
-            'oil_slick_trap': '#2c1810',
-            'pushback_trap': '#f97316',
-            'bomb_trap': '#dc2626',
-            'wall': '#6b7280',
-            'treasure': '#fbbf24'
-          };
-          const color = colors[tileType] || '#4a5568';
+          // Fallback to color (and the symbol, which shows which way an arrow points)
+          const color = definition?.color || '#4a5568';
           this.ctx.fillStyle = color;
           this.ctx.fillRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
+          this.drawSymbol(definition?.symbol ?? '?', pos.x + this.tileSize / 2, pos.y + this.tileSize / 2, 'bold 24px sans-serif', orientation);
         }
       } else {
         // Fallback rendering if images not loaded
-        const colors = {
-          'blank': '#4a5568',
-          'spike_trap': '#ef476f',
-          'cage_trap': '#8b4513',
-          'oil_slick_trap': '#2c1810',
-          'pushback_trap': '#f97316',
-          'bomb_trap': '#dc2626',
-          'wall': '#6b7280',
-          'treasure': '#fbbf24'
-        };
-        const color = colors[tileType] || '#4a5568';
+        const color = definition?.color || '#4a5568';
         this.ctx.fillStyle = color;
         this.ctx.fillRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
         
         // Draw tile symbol
-        const symbols = {
-          'blank': '',
-          'spike_trap': '▲',
-          'cage_trap': '⚿',
-          'oil_slick_trap': '~',
-          'pushback_trap': '◄',
-          'bomb_trap': '💣',
-          'wall': '█',
-          'treasure': '💰'
-        };
-        const symbol = symbols[tileType] || '?';
-        
-        if (symbol) {
-          this.ctx.fillStyle = '#ffffff';
-          this.ctx.font = 'bold 24px sans-serif';
-          this.ctx.textAlign = 'center';
-          this.ctx.textBaseline = 'middle';
-          this.ctx.fillText(symbol, pos.x + this.tileSize / 2, pos.y + this.tileSize / 2);
-        }
+        this.drawSymbol(definition?.symbol ?? '?', pos.x + this.tileSize / 2, pos.y + this.tileSize / 2, 'bold 24px sans-serif', orientation);
       }
       
       // Draw border to show it's a preview
@@ -401,9 +385,10 @@ export class BoardRenderer {
         if (image) {
           this.ctx.drawImage(image, pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
         } else {
-          // Fallback to color if image not found
+          // Fallback to color and symbol if image not found (e.g. custom tiles without art)
           this.ctx.fillStyle = tile.getColor();
           this.ctx.fillRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
+          this.drawSymbol(tile.getSymbol(), pos.x + this.tileSize / 2, pos.y + this.tileSize / 2, 'bold 24px sans-serif', tile.orientation);
         }
       } else {
         // Draw face-down tile with cover image
@@ -429,14 +414,7 @@ export class BoardRenderer {
       
       // Draw tile symbol if revealed
       if (tile.revealed) {
-        const symbol = tile.getSymbol();
-        if (symbol) {
-          this.ctx.fillStyle = '#ffffff';
-          this.ctx.font = 'bold 24px sans-serif';
-          this.ctx.textAlign = 'center';
-          this.ctx.textBaseline = 'middle';
-          this.ctx.fillText(symbol, pos.x + this.tileSize / 2, pos.y + this.tileSize / 2);
-        }
+        this.drawSymbol(tile.getSymbol(), pos.x + this.tileSize / 2, pos.y + this.tileSize / 2, 'bold 24px sans-serif', tile.orientation);
       } else {
         // Draw question mark for hidden tiles
         this.ctx.fillStyle = '#666';
@@ -446,6 +424,68 @@ export class BoardRenderer {
         this.ctx.fillText('?', pos.x + this.tileSize / 2, pos.y + this.tileSize / 2);
       }
     }
+    
+    if (tile.revealed) {
+      this.drawTileMarkers(tile, pos);
+    }
+  }
+
+  /**
+   * Draw a tile symbol centered on a point, turned the way an oriented tile points
+   * @param {string} symbol 
+   * @param {number} centerX 
+   * @param {number} centerY 
+   * @param {string} font 
+   * @param {string|null} orientation - Orientation of a one-way arrow (its symbol points right)
+   */
+  drawSymbol(symbol, centerX, centerY, font, orientation = null) {
+    if (!symbol) return;
+    
+    const vector = getOrientationVector(orientation);
+    this.ctx.save();
+    this.ctx.translate(centerX, centerY);
+    if (vector) {
+      this.ctx.rotate(Math.atan2(vector.dy, vector.dx));
+    }
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = font;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(symbol, 0, 0);
+    this.ctx.restore();
+  }
+
+  /**
+   * Mark disarmed traps, treasure waiting to be collected and which pair a teleporter belongs to
+   * @param {Tile} tile 
+   * @param {Object} pos - Pixel position of the tile
+   */
+  drawTileMarkers(tile, pos) {
+    if (tile.disarmed) {
+      // Dim the trap and cross it out
+      this.ctx.fillStyle = this.colors.disarmed;
+      this.ctx.fillRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.font = 'bold 14px sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.textBaseline = 'top';
+      this.ctx.fillText('✕', pos.x + this.tileSize - 6, pos.y + 5);
+    } else if (tile.hasPendingTreasure()) {
+      this.ctx.strokeStyle = this.colors.treasurePending;
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.strokeRect(pos.x + 5, pos.y + 5, this.tileSize - 10, this.tileSize - 10);
+      this.ctx.setLineDash([]);
+    }
+    
+    if (tile.linkId !== null) {
+      // Number the pair so its two ends can be matched up
+      this.ctx.fillStyle = this.colors.teleport;
+      this.ctx.font = 'bold 12px sans-serif';
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'bottom';
+      this.ctx.fillText(String(tile.linkId), pos.x + 5, pos.y + this.tileSize - 4);
+    }
   }
 
   /**
@@ -500,6 +540,16 @@ export class BoardRenderer {
       this.ctx.strokeRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
     }
     
+    // Draw pending choice options (tinted so they stand out from move highlights)
+    for (const tile of this.choiceTiles) {
+      const pos = this.getTilePosition(tile.x, tile.y);
+      this.ctx.fillStyle = this.colors.choice + '40';
+      this.ctx.fillRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
+      this.ctx.strokeStyle = this.colors.choice;
+      this.ctx.lineWidth = 3;
+      this.ctx.strokeRect(pos.x + 2, pos.y + 2, this.tileSize - 4, this.tileSize - 4);
+    }
+    
     // Draw hovered tile
     if (this.hoveredTile) {
       const pos = this.getTilePosition(this.hoveredTile.x, this.hoveredTile.y);
@@ -518,78 +568,32 @@ export class BoardRenderer {
     const size = 40;
     const x = this.cursorPos.x - size / 2;
     const y = this.cursorPos.y - size / 2;
+    const definition = getTileDefinition(this.cursorTile);
     
     if (this.imageLoader.isLoaded()) {
       // Get tile image based on type
-      const imageMap = {
-        'blank': 'empty.png',
-        'spike_trap': 'trap_spikes.png',
-        'cage_trap': 'trap_cage.png',
-        'oil_slick_trap': 'trap_oilslick.png',
-        'pushback_trap': 'trap_pushback.png',
-        'bomb_trap': 'trap_bomb.png',
-        'wall': 'wall.png',
-        'treasure': 'treasure.png'
-      };
-      const imageName = imageMap[this.cursorTile] || 'empty.png';
+      const imageName = definition?.image;
       const image = this.imageLoader.getImage(imageName);
       
       if (image) {
         this.ctx.drawImage(image, x, y, size, size);
       } else {
-        // Fallback to color
-        const colors = {
-          'blank': '#4a5568',
-          'spike_trap': '#ef476f',
-          'cage_trap': '#8b4513',
-          'oil_slick_trap': '#2c1810',
-          'pushback_trap': '#f97316',
-          'bomb_trap': '#dc2626',
-          'wall': '#6b7280',
-          'treasure': '#fbbf24'
-        };
-        const color = colors[this.cursorTile] || '#4a5568';
+        // Fallback to color (and the symbol, which shows which way an arrow points)
+        const color = definition?.color || '#4a5568';
         this.ctx.fillStyle = color;
         this.ctx.fillRect(x, y, size, size);
+        this.drawSymbol(definition?.symbol ?? '?', x + size / 2, y + size / 2, 'bold 20px sans-serif', this.cursorOrientation);
       }
     } else {
       // Fallback rendering if images not loaded
-      const colors = {
-        'blank': '#4a5568',
-        'spike_trap': '#ef476f',
-        'cage_trap': '#8b4513',
-        'oil_slick_trap': '#2c1810',
-        'pushback_trap': '#f97316',
-        'bomb_trap': '#dc2626',
-        'wall': '#6b7280',
-        'treasure': '#fbbf24'
-      };
-      const symbols = {
-        'blank': '',
-        'spike_trap': '▲',
-        'cage_trap': '⚿',
-        'oil_slick_trap': '~',
-        'pushback_trap': '◄',
-        'bomb_trap': '💣',
-        'wall': '█',
-        'treasure': '💰'
-      };
-      
-      const color = colors[this.cursorTile] || '#4a5568';
-      const symbol = symbols[this.cursorTile] || '?';
+      const color = definition?.color || '#4a5568';
       
       // Draw tile
       this.ctx.fillStyle = color;
       this.ctx.fillRect(x, y, size, size);
       
       // Draw symbol
-      if (symbol) {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 20px sans-serif';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(symbol, x + size / 2, y + size / 2);
-      }
+      this.drawSymbol(definition?.symbol ?? '?', x + size / 2, y + size / 2, 'bold 20px sans-serif', this.cursorOrientation);
     }
     
     // Draw border
@@ -810,6 +814,100 @@ export class BoardRenderer {
     requestAnimationFrame(animate);
   }
 
+  /**
+   * Animate resolved effects one after another: tile flips, slides, explosions and collapsing rows
+   * Effects without an animation (treasure, deaths, cages) are skipped
+   * @param {Array} resolved - Resolved effects from GameState, in order
+   * @param {Function} callback - Called after the last effect completes
+   */
+  animateEffects(resolved, callback) {
+    if (!resolved || resolved.length === 0) {
+      this.render();
+      if (callback) callback();
+      return;
+    }
+    
+    const [effect, ...rest] = resolved;
+    const next = () => this.animateEffects(rest, callback);
+    
+    switch (effect.type) {
+      case 'reveal':
+        this.animateTileReveal(effect.x, effect.y, next);
+        break;
+      case 'slide':
+        this.animateUnitMove(this.gameState.units[effect.unitType], effect.from.x, effect.from.y, effect.to.x, effect.to.y, next);
+        break;
+      case 'explosion':
+      case 'rockfall':
+        this.animateExplosion(effect.x, effect.y, effect.affectedPositions, next);
+        break;
+      case 'teleport':
+        this.animateTeleport(effect.from, effect.to, next);
+        break;
+      case 'collapse':
+        this.animateTileSlide(effect.positionMap, next);
+        break;
+      default:
+        next();
+    }
+  }
+
+  /**
+   * Animate a unit along a path one tile at a time (e.g. both steps of a Sprinter's move)
+   * @param {Unit} unit 
+   * @param {Array} path - Array of {x, y} grid positions, starting where the unit is drawn now
+   * @param {Function} callback - Called after the last step completes
+   */
+  animateUnitPath(unit, path, callback) {
+    if (path.length < 2) {
+      this.render();
+      if (callback) callback();
+      return;
+    }
+    
+    const [from, to] = path;
+    this.animateUnitMove(unit, from.x, from.y, to.x, to.y, () => {
+      this.animateUnitPath(unit, path.slice(1), callback);
+    });
+  }
+
+  /**
+   * Animate a unit vanishing into one teleporter and appearing out of the other
+   * @param {Object} from - {x, y} teleporter the unit entered
+   * @param {Object} to - {x, y} teleporter the unit arrived on
+   * @param {Function} callback - Called after animation completes
+   */
+  animateTeleport(from, to, callback) {
+    const duration = 600;
+    const startTime = Date.now();
+    const fromPos = this.getTilePosition(from.x, from.y);
+    const toPos = this.getTilePosition(to.x, to.y);
+    
+    const animate = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      
+      this.render();
+      
+      // Swirl closes over the entry, then opens over the exit
+      const pos = progress < 0.5 ? fromPos : toPos;
+      const size = progress < 0.5 ? 1 - progress * 2 : (progress - 0.5) * 2;
+      this.ctx.strokeStyle = this.colors.teleport;
+      this.ctx.lineWidth = 4;
+      this.ctx.beginPath();
+      this.ctx.arc(pos.x + this.tileSize / 2, pos.y + this.tileSize / 2, Math.max(size, 0.05) * this.tileSize / 2, 0, Math.PI * 2);
+      this.ctx.stroke();
+      
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      } else {
+        this.render();
+        if (callback) callback();
+      }
+    };
+    
+    animate();
+  }
+
   /**
    * Animate bomb explosion
    * @param {number} x - Center X
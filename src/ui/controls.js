@@ -1,8 +1,19 @@
 /**
  * UI Controls - Handle user input and interactions
  */
-import { GamePhase } from '../utils/gameConfig.js';
+import { GamePhase, GameMode, SOLO_DIFFICULTIES, WinRule, getUndoPolicy, validateGameConfig } from '../utils/gameConfig.js';
 import { getSettings } from '../utils/settings.js';
+import { getSaveManager } from '../utils/saveManager.js';
+import { replayRecording } from '../game/replay.js';
+import { ReplayViewer } from './replayViewer.js';
+import { UndoHistory } from '../game/undoHistory.js';
+import { DEFAULT_ORIENTATION, Orientation, getTileDefinition } from '../game/tileRegistry.js';
+import { Engine } from '../game/engine.js';
+import { OffenseBot } from '../player/offenseBot.js';
+import { DefenseBot } from '../player/defenseBot.js';
+
+// Pause before each of the computer's actions, so they can be followed on the board (ms)
+const COMPUTER_STEP_DELAY = 600;
 
 export class Controls {
   constructor(gameState, defensePlayer, offensePlayer, renderer, hud) {
@@ -12,14 +23,27 @@ export class Controls {
     this.renderer = renderer;
     this.hud = hud;
     this.settings = getSettings();
+    this.saveManager = getSaveManager();
     
     // State
     this.selectedRow = null; // For defense tile placement
     this.selectedTileType = null; // Currently selected tile to place
-    this.scoutRevealMode = false; // Whether Scout is selecting tile to reveal
-    this.scoutUnit = null; // Scout unit waiting to reveal
+    this.selectedOrientation = DEFAULT_ORIENTATION; // Way the selected tile points, if it is oriented (R turns it)
+    this.spawnUnitType = null; // Unit waiting for a spawn tile to be picked
+    this.inputLocked = false; // True while the replay viewer or the computer drives the board
+    this.undoHistory = new UndoHistory(getUndoPolicy(gameState.config));
+    this.moveUndoSnapshot = null; // State before the move currently animating
+    this.moveHiddenTiles = null; // Face-down tiles before the move currently animating
+    
+    // Computer opponent (games against the computer)
+    this.engine = new Engine(gameState);
+    this.offenseBot = new OffenseBot(gameState);
+    this.defenseBot = new DefenseBot(gameState);
+    this.computerPlaying = false;
     
     this.setupEventListeners();
+    this.updateGameModeSelect();
+    this.replayViewer = new ReplayViewer(this);
   }
 
   /**
@@ -81,6 +105,14 @@ export class Controls {
       });
     }
     
+    // Game mode picker for the next new game
+    document.getElementById('gameModeSelect').addEventListener('change', 
+      this.updateSoloDifficultySelect.bind(this));
+    document.getElementById('soloDifficultySelect').addEventListener('change', 
+      this.updateSoloDifficultySelect.bind(this));
+    document.getElementById('gameModeSelect').addEventListener('change', 
+      this.updateComputerSelects.bind(this));
+    
     // Defense turn button
     document.getElementById('endDefenseTurnBtn').addEventListener('click', 
       this.handleEndDefenseTurn.bind(this));
@@ -88,6 +120,8 @@ export class Controls {
     // Offense turn button
     document.getElementById('endOffenseTurnBtn').addEventListener('click', 
       this.handleEndOffenseTurn.bind(this));
+    document.getElementById('skipRevealBtn').addEventListener('click', 
+      this.handleSkipReveal.bind(this));
     
     // New game button
     document.getElementById('newGameBtn').addEventListener('click', 
@@ -97,6 +131,34 @@ export class Controls {
     document.getElementById('replaySeedBtn').addEventListener('click', 
       this.handleReplaySeed.bind(this));
     
+    // Undo/redo
+    document.getElementById('undoBtn').addEventListener('click', 
+      this.handleUndo.bind(this));
+    document.getElementById('redoBtn').addEventListener('click', 
+      this.handleRedo.bind(this));
+    document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    
+    // Save/load buttons
+    document.getElementById('saveGameBtn').addEventListener('click', 
+      this.handleSaveGame.bind(this));
+    document.getElementById('loadGameBtn').addEventListener('click', 
+      this.handleLoadGame.bind(this));
+    document.getElementById('deleteSaveBtn').addEventListener('click', 
+      this.handleDeleteSave.bind(this));
+    
+    // Recording export/import
+    document.getElementById('exportRecordingBtn').addEventListener('click', 
+      this.handleExportRecording.bind(this));
+    document.getElementById('importRecordingBtn').addEventListener('click', () => {
+      document.getElementById('recordingFileInput').click();
+    });
+    document.getElementById('recordingFileInput').addEventListener('change', 
+      this.handleImportRecording.bind(this));
+    
+    // Replay viewer for the current game
+    document.getElementById('watchReplayBtn').addEventListener('click', 
+      this.handleWatchReplay.bind(this));
+    
     // Auto place button (defense)
     document.getElementById('autoPlaceBtn').addEventListener('click', 
       this.handleAutoPlace.bind(this));
@@ -144,8 +206,8 @@ export class Controls {
    * Handle canvas click
    */
   handleCanvasClick(event) {
-    // Don't allow interactions if game is over
-    if (this.gameState.isGameOver()) {
+    // Don't allow interactions if game is over or a replay is being viewed
+    if (this.gameState.isGameOver() || this.inputLocked) {
       return;
     }
     
@@ -168,9 +230,12 @@ export class Controls {
    * Handle click during defense phase
    */
   handleDefenseClick(tile) {
+    const before = this.captureSession();
+    
     // If we have a tile selected, place it on the clicked row
     if (this.selectedTileType) {
-      const result = this.defensePlayer.assignTileToRow(tile.y, this.selectedTileType);
+      const replacedOrientation = this.defensePlayer.getOrientations().get(tile.y);
+      const result = this.defensePlayer.assignTileToRow(tile.y, this.selectedTileType, this.selectedOrientation);
       
       if (result.success) {
         console.log(`Placed ${this.selectedTileType} at row ${tile.y}`);
@@ -178,6 +243,7 @@ export class Controls {
         // If we replaced a tile, pick it up
         if (result.replacedTile) {
           this.selectedTileType = result.replacedTile;
+          this.selectedOrientation = replacedOrientation || DEFAULT_ORIENTATION;
           console.log(`Picked up ${result.replacedTile} from row ${tile.y}`);
         } else {
           // Auto-select next available tile for quick placement
@@ -188,6 +254,7 @@ export class Controls {
         }
         
         this.updateDefenseUI();
+        this.commitAction(before, false);
       } else {
         console.log('Cannot place tile here');
       }
@@ -197,12 +264,13 @@ export class Controls {
       const existingTile = assignments.get(tile.y);
       
       if (existingTile) {
-        // Pick up the tile from this row
+        // Pick up the tile from this row, still pointing the way it was
+        this.selectedOrientation = this.defensePlayer.getOrientations().get(tile.y) || DEFAULT_ORIENTATION;
         this.defensePlayer.clearAssignment(tile.y);
         this.selectedTileType = existingTile;
         console.log(`Picked up ${existingTile} from row ${tile.y}`);
-        this.gameState.logEvent(`Removed ${existingTile} from row ${tile.y}`, 'defense');
         this.updateDefenseUI();
+        this.commitAction(before, false);
       } else {
         console.log('Please select a tile from your draw first');
       }
@@ -220,11 +288,11 @@ export class Controls {
     this.hud.updateActionLog();
     
     // Show preview tiles on the board
-    this.renderer.setPreviewTiles(this.defensePlayer.getAssignments());
+    this.renderer.setPreviewTiles(this.defensePlayer.getAssignments(), this.defensePlayer.getOrientations());
     
     // Update cursor tile
     if (this.selectedTileType) {
-      this.renderer.setCursorTile(this.selectedTileType);
+      this.renderer.setCursorTile(this.selectedTileType, this.selectedOrientation);
     } else {
       this.renderer.clearCursorTile();
     }
@@ -246,12 +314,23 @@ export class Controls {
    * Handle click during offense phase
    */
   handleOffenseClick(tile) {
-    // Check if Scout is selecting tile to reveal
-    if (this.scoutRevealMode) {
+    // A freed unit stepping out of its cage or a Scout's reveal comes before anything else
+    if (this.gameState.pendingChoice?.type === 'cageRelease') {
+      this.handleCageReleaseClick(tile);
+      return;
+    }
+    
+    if (this.gameState.pendingChoice?.type === 'scoutReveal') {
       this.handleScoutRevealClick(tile);
       return;
     }
     
+    // Check if a spawn tile is being picked
+    if (this.spawnUnitType) {
+      this.handleSpawnClick(tile);
+      return;
+    }
+    
     const selectedUnit = this.offensePlayer.getSelectedUnit();
     
     if (!selectedUnit) {
@@ -286,6 +365,8 @@ export class Controls {
       }
       
       const targetTile = this.gameState.board.getTile(tile.x, tile.y);
+      this.moveUndoSnapshot = this.captureSession();
+      this.moveHiddenTiles = this.getHiddenTiles();
       
       // Check if tile is not yet revealed and should be revealed (not a Jump move)
       const dx = tile.x - unit.x;
@@ -303,9 +384,9 @@ export class Controls {
             const toX = tile.x;
             const toY = tile.y;
             
-            // Special handling for sprinter's Move 2 ability
-            if (unit.type === 'sprinter') {
-              this.handleSprinterMove(unit, fromX, fromY, toX, toY);
+            // Special handling for Move 2+ abilities (Sprinter)
+            if (unit.hasMultiStepMove() && !unit.isJumpMove(dx, dy)) {
+              this.handleMultiStepMove(unit, fromX, fromY, toX, toY);
             } else {
               // Perform the move (this updates unit.x and unit.y)
               const result = this.offensePlayer.moveSelectedUnit(toX, toY);
@@ -329,9 +410,9 @@ export class Controls {
         const toX = tile.x;
         const toY = tile.y;
         
-        // Special handling for sprinter's Move 2 ability
-        if (unit.type === 'sprinter') {
-          this.handleSprinterMove(unit, fromX, fromY, toX, toY);
+        // Special handling for Move 2+ abilities (Sprinter)
+        if (unit.hasMultiStepMove() && !unit.isJumpMove(dx, dy)) {
+          this.handleMultiStepMove(unit, fromX, fromY, toX, toY);
         } else {
           const result = this.offensePlayer.moveSelectedUnit(toX, toY);
           
@@ -348,34 +429,26 @@ export class Controls {
   }
   
   /**
-   * Handle sprinter's two-step movement with animation
+   * Handle a Move 2+ unit's step-by-step movement with animation
    * @param {Unit} unit 
    * @param {number} fromX 
    * @param {number} fromY 
    * @param {number} toX 
    * @param {number} toY 
    */
-  handleSprinterMove(unit, fromX, fromY, toX, toY) {
+  handleMultiStepMove(unit, fromX, fromY, toX, toY) {
     // Calculate direction
     const dx = toX - fromX;
     const dy = toY - fromY;
     const dirX = Math.sign(dx);
     const dirY = Math.sign(dy);
     
-    // Calculate intermediate position (first move)
-    const midX = fromX + dirX;
-    const midY = fromY + dirY;
-    
-    // Perform the sprinter move (does both steps internally)
+    // Perform the move (takes every step internally)
     const result = this.offensePlayer.moveSelectedUnit(toX, toY);
     
     if (result.success) {
-      // Animate first step
-      this.renderer.animateUnitMove(unit, fromX, fromY, midX, midY, () => {
-        // Then animate second step
-        this.renderer.animateUnitMove(unit, midX, midY, toX, toY, () => {
-          this.handleMoveResult(result);
-        });
+      this.renderer.animateUnitPath(unit, this.getStepPath(fromX, fromY, dirX, dirY, result), () => {
+        this.handleMoveResult(result);
       });
     } else {
       this.handleMoveFailure(result);
@@ -383,45 +456,184 @@ export class Controls {
   }
 
   /**
-   * Handle successful move result
-   * @param {Object} result 
+   * Get the tiles a Move 2+ unit passed through, to animate each step taken
+   * A step that stopped the unit (trap, slide) ends the move early
+   * @param {number} fromX 
+   * @param {number} fromY 
+   * @param {number} dirX 
+   * @param {number} dirY 
+   * @param {Object} result - Result of the move
+   * @returns {Array} Array of {x, y} positions, starting where the unit was
    */
-  handleMoveResult(result) {
+  getStepPath(fromX, fromY, dirX, dirY, result) {
+    const stepCount = result.effects?.steps?.length || 1;
+    const path = [{ x: fromX, y: fromY }];
+    for (let step = 1; step <= stepCount; step++) {
+      path.push({ x: fromX + dirX * step, y: fromY + dirY * step });
+    }
+    return path;
+  }
+
+  /**
+   * Handle click on a tile while picking where to spawn
+   * @param {Object} tile - {x, y}
+   */
+  handleSpawnClick(tile) {
+    const unitType = this.spawnUnitType;
+    const targets = this.offensePlayer.getSpawnTargets(unitType);
+    
+    this.spawnUnitType = null;
     this.renderer.clearHighlightedTiles();
     
-    // Check if Scout needs to reveal adjacent tile
-    if (result.unitType) {
-      const unit = this.gameState.units[result.unitType];
-      if (unit && unit.hasRevealAbility() && unit.alive) {
-        // Prompt player to select adjacent tile to reveal
-        this.promptScoutReveal(unit);
-        return;
+    // Clicking anywhere else cancels the spawn
+    if (!targets.some(target => target.x === tile.x && target.y === tile.y)) {
+      this.renderer.render();
+      return;
+    }
+    
+    const before = this.captureSession();
+    const targetTile = this.gameState.board.getTile(tile.x, tile.y);
+    const revealing = !targetTile.revealed;
+    
+    const spawn = () => {
+      const result = this.offensePlayer.spawnUnit(unitType, tile.y);
+      
+      if (result.success || result.goldLost) {
+        this.commitAction(before, revealing);
+      }
+      
+      if (result.success) {
+        if (this.gameState.pendingChoice) {
+          this.promptPendingChoice();
+        }
+        this.showMoveEffects(result);
+      } else {
+        console.error('Spawn failed:', result.error);
+        this.renderer.render();
+        this.hud.updateAll();
       }
+    };
+    
+    if (revealing) {
+      this.renderer.animateTileReveal(tile.x, tile.y, spawn);
+    } else {
+      spawn();
     }
+  }
+
+  /**
+   * Highlight the tiles offense can pick for the pending choice
+   * (where a freed unit steps out of its cage, or which tile a Scout reveals)
+   */
+  promptPendingChoice() {
+    this.offensePlayer.deselectUnit();
+    this.renderer.clearHighlightedTiles();
+    this.renderer.setChoiceTiles(this.gameState.pendingChoice.options);
+    this.hud.updateAll();
+    this.renderer.render();
+  }
+
+  /**
+   * Handle click on a tile while a freed unit is waiting to leave its cage
+   * @param {Object} tile - {x, y}
+   */
+  handleCageReleaseClick(tile) {
+    const choice = this.gameState.pendingChoice;
+    if (!choice.options.some(option => option.x === tile.x && option.y === tile.y)) {
+      this.gameState.logEvent(`Choose a highlighted tile for ${choice.unitType} to step out to`, 'error');
+      this.hud.updateActionLog();
+      return;
+    }
+    
+    const before = this.captureSession();
+    const unit = this.gameState.units[choice.unitType];
+    const fromX = unit.x;
+    const fromY = unit.y;
+    const targetTile = this.gameState.board.getTile(tile.x, tile.y);
+    const revealing = !targetTile.revealed;
     
-    // Check if bomb animation is needed
-    if (result.effects?.bombAnimData) {
-      const { explosionCenter, affectedPositions, positionMap } = result.effects.bombAnimData;
+    const release = () => {
+      const result = this.offensePlayer.releaseFromCage(tile.x, tile.y);
+      if (!result.success) {
+        console.error('Cage release failed:', result.error);
+        return;
+      }
       
-      // Trigger explosion animation
-      this.renderer.animateExplosion(explosionCenter.x, explosionCenter.y, affectedPositions, () => {
-        // After explosion, trigger tile slide animation
-        this.renderer.animateTileSlide(positionMap, () => {
-          // After both animations, update UI
-          this.renderer.render();
-          this.hud.updateAll();
-        });
+      this.commitAction(before, revealing);
+      this.renderer.clearChoiceTiles();
+      
+      // Hit a wall (choose again) or freed another caged unit
+      if (this.gameState.pendingChoice) {
+        this.promptPendingChoice();
+      }
+      
+      // A dead end only matters if the unit was left with nowhere to go
+      if (result.effects?.blocked) {
+        this.showMoveEffects(result);
+        return;
+      }
+      
+      this.renderer.animateUnitMove(unit, fromX, fromY, tile.x, tile.y, () => {
+        this.showMoveEffects(result);
       });
+    };
+    
+    if (revealing) {
+      this.renderer.animateTileReveal(tile.x, tile.y, release);
     } else {
-      // No bomb, just render normally
+      release();
+    }
+  }
+
+  /**
+   * Handle successful move result
+   * @param {Object} result 
+   */
+  handleMoveResult(result) {
+    this.commitAction(this.moveUndoSnapshot, this.didMoveReveal());
+    this.renderer.clearHighlightedTiles();
+    
+    // Freed units and Scouts may need a follow-up choice
+    if (this.gameState.pendingChoice) {
+      this.promptPendingChoice();
+    }
+    
+    this.showMoveEffects(result);
+  }
+
+  /**
+   * Get the tiles currently face down
+   * @returns {Array} Tiles
+   */
+  getHiddenTiles() {
+    return this.gameState.board.getAllTiles().filter(tile => !tile.revealed);
+  }
+
+  /**
+   * Check whether the move just made revealed hidden information: a tile that was face down
+   * before it (anywhere a Move 2+ unit passed, slid or was pushed) is now face up or gone
+   * @returns {boolean}
+   */
+  didMoveReveal() {
+    const onBoard = new Set(this.gameState.board.getAllTiles());
+    return this.moveHiddenTiles.some(tile => tile.revealed || !onBoard.has(tile));
+  }
+
+  /**
+   * Animate everything a move or spawn set off and announce a win
+   * @param {Object} result 
+   */
+  showMoveEffects(result) {
+    // Slides, explosions and collapsing rows play out one step at a time
+    this.renderer.animateEffects(result.effects?.resolved, () => {
       this.renderer.render();
       this.hud.updateAll();
-    }
+    });
     
     if (result.effects && result.effects.win) {
       // Render again to show revealed tiles
       this.renderer.render();
-      this.hud.showGameOver('offense');
+      this.endGame('offense');
     }
   }
 
@@ -434,6 +646,7 @@ export class Controls {
     
     // Update UI even on failure (gold may have been spent for wall)
     if (result.goldLost) {
+      this.commitAction(this.moveUndoSnapshot, this.didMoveReveal());
       this.renderer.render();
       this.hud.updateAll();
     }
@@ -443,7 +656,7 @@ export class Controls {
    * Handle draw tile click (defense phase)
    */
   handleDrawTileClick(event) {
-    if (this.gameState.isGameOver()) return;
+    if (this.gameState.isGameOver() || this.inputLocked) return;
     if (this.gameState.phase !== GamePhase.DEFENSE) return;
     
     const tileElement = event.target.closest('.draw-tile-item');
@@ -456,7 +669,7 @@ export class Controls {
     console.log(`Selected ${tileType} - now click a row on the board to place it`);
     
     // Update UI
-    this.renderer.setCursorTile(tileType);
+    this.renderer.setCursorTile(tileType, this.selectedOrientation);
     document.querySelectorAll('.draw-tile-item').forEach(el => {
       el.classList.remove('selected');
     });
@@ -468,7 +681,7 @@ export class Controls {
    * Handle unit action click (offense phase)
    */
   handleUnitActionClick(event) {
-    if (this.gameState.isGameOver()) return;
+    if (this.gameState.isGameOver() || this.inputLocked) return;
     if (this.gameState.phase !== GamePhase.OFFENSE) return;
     
     const button = event.target;
@@ -478,16 +691,26 @@ export class Controls {
     
     const unitType = button.dataset.unitType;
     
+    // A freed unit has to step out of its cage (or a Scout reveal) first
+    if (this.gameState.pendingChoice) return;
+    
     if (button.classList.contains('btn-spawn')) {
-      const result = this.offensePlayer.spawnUnit(unitType);
-      if (result.success) {
-        this.renderer.render();
-        this.hud.updateAll();
-      } else {
-        console.error('Spawn failed:', result.error);
+      // Pick a tile of the first column to spawn onto
+      const targets = this.offensePlayer.getSpawnTargets(unitType);
+      if (targets.length === 0) {
+        this.gameState.logEvent(`No open tile to spawn ${unitType} onto`, 'error');
+        this.hud.updateActionLog();
+        return;
       }
+      
+      this.offensePlayer.deselectUnit();
+      this.spawnUnitType = unitType;
+      this.renderer.setHighlightedTiles(targets);
+      this.renderer.render();
+      console.log(`Spawning ${unitType} - click a highlighted tile`);
     } else if (button.classList.contains('btn-move')) {
       // Select unit for movement
+      this.spawnUnitType = null;
       this.offensePlayer.selectUnit(unitType);
       const validMoves = this.offensePlayer.getValidMoves();
       this.renderer.setHighlightedTiles(validMoves);
@@ -499,7 +722,7 @@ export class Controls {
    * Handle end defense turn
    */
   handleEndDefenseTurn() {
-    if (this.gameState.isGameOver()) return;
+    if (this.gameState.isGameOver() || this.inputLocked) return;
     if (this.gameState.phase !== GamePhase.DEFENSE) return;
     
     // Check if tiles have been placed
@@ -509,6 +732,7 @@ export class Controls {
     }
     
     // Finalize the placement
+    const before = this.captureSession();
     const result = this.defensePlayer.placeTiles();
     if (!result.success) {
       alert('Failed to place tiles: ' + result.error);
@@ -535,43 +759,52 @@ export class Controls {
       this.hud.updateAll();
       this.renderer.render();
     }
+    
+    // Ending the turn draws new tiles
+    this.commitAction(before, true);
+    this.playComputerTurn();
   }
 
   /**
    * Handle end offense turn
    */
   handleEndOffenseTurn() {
-    if (this.gameState.isGameOver()) return;
+    if (this.gameState.isGameOver() || this.inputLocked) return;
     if (this.gameState.phase !== GamePhase.OFFENSE) return;
     
+    if (this.gameState.pendingChoice?.type === 'cageRelease') {
+      alert('Choose where the freed unit steps out of its cage first!');
+      return;
+    }
+    if (this.gameState.pendingChoice?.type === 'scoutReveal') {
+      alert('Reveal a tile with the Scout or skip the reveal first!');
+      return;
+    }
+    
+    const before = this.captureSession();
+    this.spawnUnitType = null;
     this.offensePlayer.endTurn();
     this.renderer.clearHighlightedTiles();
     
     // Start next defense turn
-    const result = this.defensePlayer.startTurn();
-    if (result.success) {
-      this.hud.updateAll();
-      this.hud.updateCurrentDraw(result.tiles);
-      this.renderer.render();
-    } else {
-      // Defense ran out of tiles - game over
-      this.hud.updateAll();
-      this.renderer.render();
-      this.hud.showGameOver('defense');
-    }
+    this.startDefenseTurn();
+    
+    this.commitAction(before, true);
   }
 
   /**
    * Handle auto place button
    */
   handleAutoPlace() {
-    if (this.gameState.isGameOver()) return;
+    if (this.gameState.isGameOver() || this.inputLocked) return;
     if (this.gameState.phase !== GamePhase.DEFENSE) return;
     
+    const before = this.captureSession();
     const result = this.defensePlayer.autoPlace();
     if (result.success) {
       this.selectedTileType = null;
       this.updateDefenseUI();
+      this.commitAction(before, false);
       console.log('Tiles placed randomly - click End Turn to finalize');
     } else {
       console.error('Auto-placement failed:', result.error);
@@ -583,15 +816,21 @@ export class Controls {
    */
   handleNewGame() {
     if (confirm('Start a new game?')) {
+      const options = this.getNewGameOptions();
+      const validation = validateGameConfig({ ...this.gameState.config, ...options });
+      if (!validation.valid) {
+        alert('Cannot start game: ' + validation.errors.join(', '));
+        return;
+      }
+      
+      Object.assign(this.gameState.config, options);
       this.gameState.reset();
+      this.offenseBot.reset();
+      this.resetUndoHistory();
       
       // Start first turn
-      const result = this.defensePlayer.startTurn();
-      if (result.success) {
-        this.hud.updateAll();
-        this.hud.updateCurrentDraw(result.tiles);
-        this.renderer.render();
-      }
+      this.startDefenseTurn();
+      this.autosave();
     }
   }
 
@@ -613,13 +852,11 @@ export class Controls {
             // Restart game with this seed
             this.gameState.config.tileBagSeed = seed;
             this.gameState.reset();
+            this.offenseBot.reset();
+            this.resetUndoHistory();
             
-            const result = this.defensePlayer.startTurn();
-            if (result.success) {
-              this.hud.updateAll();
-              this.hud.updateCurrentDraw(result.tiles);
-              this.renderer.render();
-            }
+            this.startDefenseTurn();
+            this.autosave();
             
             seedInput.classList.add('hidden');
           }
@@ -629,66 +866,600 @@ export class Controls {
   }
 
   /**
-   * Prompt Scout to select adjacent tile to reveal
-   * @param {Unit} unit - Scout unit
+   * Handle Scout reveal tile selection
+   * @param {Object} tile - Selected tile coordinates
+   */
+  handleScoutRevealClick(tile) {
+    const choice = this.gameState.pendingChoice;
+    if (!choice.options.some(option => option.x === tile.x && option.y === tile.y)) {
+      this.gameState.logEvent('Select a highlighted tile to reveal, or skip the reveal', 'error');
+      this.hud.updateActionLog();
+      return;
+    }
+    
+    // Reveal the tile
+    const before = this.captureSession();
+    const result = this.offensePlayer.scoutReveal(tile.x, tile.y);
+    
+    if (!result.success) {
+      this.gameState.logEvent(result.error || 'Cannot reveal this tile', 'error');
+      this.hud.updateActionLog();
+      return;
+    }
+    
+    this.commitAction(before, true);
+    this.renderer.clearChoiceTiles();
+    this.hud.updateAll();
+    
+    // Animate the reveal
+    this.renderer.animateTileReveal(tile.x, tile.y, () => {
+      this.renderer.render();
+      this.hud.updateAll();
+    });
+  }
+
+  /**
+   * Handle the Skip Reveal button
    */
-  promptScoutReveal(unit) {
-    this.scoutRevealMode = true;
-    this.scoutUnit = unit;
+  handleSkipReveal() {
+    if (this.gameState.isGameOver() || this.inputLocked) return;
+    if (this.gameState.pendingChoice?.type !== 'scoutReveal') return;
+    
+    const before = this.captureSession();
+    const result = this.offensePlayer.skipScoutReveal();
+    if (!result.success) return;
     
-    // Get adjacent tiles
-    const adjacentTiles = [
-      { x: unit.x + 1, y: unit.y },
-      { x: unit.x - 1, y: unit.y },
-      { x: unit.x, y: unit.y + 1 },
-      { x: unit.x, y: unit.y - 1 }
-    ].filter(pos => this.gameState.board.isValidPosition(pos.x, pos.y));
+    this.commitAction(before, false);
+    this.renderer.clearChoiceTiles();
+    this.renderer.render();
+    this.hud.updateAll();
+  }
+
+  /**
+   * Capture everything needed to resume the match exactly where it is
+   * @returns {Object}
+   */
+  captureSession() {
+    return {
+      gameState: this.gameState.toJSON(),
+      defenseAssignments: Array.from(this.defensePlayer.getAssignments().entries()),
+      defenseOrientations: Array.from(this.defensePlayer.getOrientations().entries()),
+      selectedTileType: this.selectedTileType,
+      selectedOrientation: this.selectedOrientation,
+      selectedUnit: this.offensePlayer.selectedUnit,
+      offenseBot: this.offenseBot.toJSON()
+    };
+  }
+
+  /**
+   * Restore a captured session and refresh the UI
+   * @param {Object} session - Data from captureSession()
+   * @returns {Object} { success: boolean, error: string }
+   */
+  restoreSession(session) {
+    const result = this.gameState.restore(session.gameState);
+    if (!result.success) {
+      return result;
+    }
     
-    // Highlight adjacent tiles
-    this.renderer.setHighlightedTiles(adjacentTiles);
+    // Reset transient input state
+    this.spawnUnitType = null;
+    this.offensePlayer.deselectUnit();
+    this.renderer.clearHighlightedTiles();
+    this.renderer.clearChoiceTiles();
+    this.renderer.clearPreviewTiles();
+    this.renderer.clearCursorTile();
+    this.renderer.tileCoverCache.clear();
+    
+    this.defensePlayer.restoreAssignments(
+      new Map(session.defenseAssignments || []),
+      new Map(session.defenseOrientations || [])
+    );
+    this.selectedTileType = session.selectedTileType || null;
+    this.selectedOrientation = session.selectedOrientation || DEFAULT_ORIENTATION;
+    this.offenseBot.restore(session.offenseBot);
+    
+    if (this.gameState.phase === GamePhase.DEFENSE) {
+      this.updateDefenseUI();
+    } else {
+      this.hud.clearCurrentDraw();
+      if (this.gameState.pendingChoice) {
+        this.renderer.setChoiceTiles(this.gameState.pendingChoice.options);
+      } else if (session.selectedUnit && this.offensePlayer.selectUnit(session.selectedUnit)) {
+        this.renderer.setHighlightedTiles(this.offensePlayer.getValidMoves());
+      }
+    }
+    
+    this.updateGameModeSelect();
+    this.hud.updateAll();
+    this.renderer.render();
+    
+    // A game saved during the computer's turn picks up where it left off
+    this.playComputerTurn();
+    return { success: true };
+  }
+
+  /**
+   * Draw tiles for a defense turn and update the UI
+   * In solo mode the bag plays defense, placing each draw blind until it is offense's turn;
+   * a computer defense lays its columns the same way, without showing the draw
+   * @returns {Object} Result of the last draw
+   */
+  startDefenseTurn() {
+    let result = this.defensePlayer.startTurn();
+    
+    while (result.success && (this.gameState.isSoloMode() || this.isComputerTurn()) &&
+      this.gameState.phase === GamePhase.DEFENSE) {
+      const placeResult = this.gameState.isSoloMode()
+        ? this.defensePlayer.placeBlind()
+        : this.placeComputerColumn();
+      if (!placeResult.success) {
+        console.error('Failed to place defense column:', placeResult.error);
+        return placeResult;
+      }
+      
+      // Opening turns lay more than one column
+      if (this.gameState.phase === GamePhase.DEFENSE) {
+        result = this.defensePlayer.startTurn();
+      }
+    }
+    
+    this.hud.updateAll();
+    if (this.gameState.phase === GamePhase.DEFENSE && result.success) {
+      this.hud.updateCurrentDraw(result.tiles, this.defensePlayer.getAssignments());
+      this.renderer.setPreviewTiles(this.defensePlayer.getAssignments(), this.defensePlayer.getOrientations());
+    } else {
+      this.hud.clearCurrentDraw();
+    }
     this.renderer.render();
     
-    // Show message
-    this.gameState.logEvent('Scout: Select an adjacent tile to reveal (Reveal 1)', 'event');
+    if (!result.success && this.gameState.isGameOver()) {
+      // Defense ran out of tiles
+      this.endGame('defense');
+    }
+    
+    return result;
+  }
+
+  /**
+   * Check if it is the computer's turn in a game against the computer
+   * @returns {boolean}
+   */
+  isComputerTurn() {
+    return !this.gameState.isGameOver() && this.gameState.getComputerSide() === this.gameState.phase;
+  }
+
+  /**
+   * Lay the computer defense's column for the current draw and end its turn
+   * @returns {Object}
+   */
+  placeComputerColumn() {
+    const command = this.defenseBot.chooseCommand();
+    return this.defensePlayer.placeColumn(command.tiles, command.orientations);
+  }
+
+  /**
+   * Let the computer play its offense turn, one command at a time so each can be followed on the board
+   * Player input is locked until the computer hands the turn back
+   * (a computer defense lays its columns as soon as they are drawn - see startDefenseTurn)
+   */
+  playComputerTurn() {
+    if (this.computerPlaying || !this.isComputerTurn() || this.gameState.phase !== GamePhase.OFFENSE) return;
+
+    this.computerPlaying = true;
+    this.setInputLocked(true);
+
+    const step = () => {
+      const command = this.isComputerTurn() ? this.offenseBot.chooseCommand() : null;
+      if (!command || command.type === 'endTurn') {
+        this.computerPlaying = false;
+        this.setInputLocked(false);
+        if (command) {
+          this.handleEndOffenseTurn();
+        }
+        return;
+      }
+
+      this.playComputerCommand(command, () => setTimeout(step, COMPUTER_STEP_DELAY));
+    };
+    setTimeout(step, COMPUTER_STEP_DELAY);
+  }
+
+  /**
+   * Carry out one of the computer's commands, animated like the same action taken by a player
+   * @param {Object} command - Command in Engine.execute() format
+   * @param {Function} callback - Called once the command has played out
+   */
+  playComputerCommand(command, callback) {
+    const before = this.captureSession();
+    const unit = this.gameState.units[command.unitType || this.gameState.pendingChoice?.unitType];
+    const fromX = unit.x;
+    const fromY = unit.y;
+    const target = command.type === 'spawn' ? { x: 0, y: command.row } : { x: command.x, y: command.y };
+    const tile = this.gameState.board.getTile(target.x, target.y);
+    const dx = target.x - fromX;
+    const dy = target.y - fromY;
+    const jump = command.type === 'move' && unit.isJumpMove(dx, dy);
+
+    const run = () => {
+      const result = this.engine.execute(command);
+      this.offenseBot.observeResult(command, result);
+      if (!result.success && !result.goldLost) {
+        console.error('Computer command failed:', result.error);
+      } else {
+        // The opponent's actions are never undone
+        this.commitAction(before, true);
+      }
+
+      const finish = () => {
+        this.renderer.animateEffects(result.effects?.resolved, () => {
+          this.renderer.render();
+          this.hud.updateAll();
+          if (result.effects?.win) {
+            this.endGame('offense');
+          }
+          callback();
+        });
+      };
+
+      const moved = result.success && !result.effects?.blocked &&
+        (command.type === 'move' || command.type === 'cageRelease');
+      if (!moved) {
+        this.renderer.render();
+        this.hud.updateAll();
+        finish();
+      } else if (command.type === 'move' && unit.hasMultiStepMove() && !jump) {
+        this.renderer.animateUnitPath(unit, this.getStepPath(fromX, fromY, Math.sign(dx), Math.sign(dy), result), finish);
+      } else {
+        this.renderer.animateUnitMove(unit, fromX, fromY, target.x, target.y, finish);
+      }
+    };
+
+    // Hidden tiles flip before the unit arrives, as they do for a player (a Jumper lands face down)
+    if (tile && !tile.revealed && !jump) {
+      this.renderer.animateTileReveal(target.x, target.y, run);
+    } else {
+      run();
+    }
+  }
+
+  /**
+   * Announce the winner, remembering cleared solo difficulties
+   * @param {string} winner - 'offense' or 'defense'
+   */
+  endGame(winner) {
+    if (this.gameState.isSoloMode() && winner === 'offense') {
+      const cleared = this.settings.get('solo.cleared') || [];
+      if (!cleared.includes(this.gameState.config.soloDifficulty)) {
+        this.settings.set('solo.cleared', [...cleared, this.gameState.config.soloDifficulty]);
+        this.updateSoloDifficultySelect();
+      }
+    }
+    
+    this.hud.showGameOver(winner);
+  }
+
+  /**
+   * Show the current game's mode in the game mode picker
+   */
+  updateGameModeSelect() {
+    document.getElementById('gameModeSelect').value = this.gameState.config.gameMode || GameMode.VERSUS;
+    document.getElementById('startingColumnsInput').value = this.gameState.getOpeningColumns();
+    document.getElementById('winRuleSelect').value = this.gameState.config.winRule || WinRule.ENDZONE;
+    if (this.gameState.isSoloMode()) {
+      document.getElementById('soloDifficultySelect').value = this.gameState.config.soloDifficulty;
+    }
+    document.getElementById('computerSideSelect').value = this.gameState.config.computerSide || GamePhase.OFFENSE;
+    document.getElementById('computerDifficultySelect').value = this.gameState.getComputerDifficulty();
+    this.updateSoloDifficultySelect();
+    this.updateComputerSelects();
+  }
+
+  /**
+   * Show the side and difficulty pickers only for games against the computer
+   */
+  updateComputerSelects() {
+    const isComputer = document.getElementById('gameModeSelect').value === GameMode.COMPUTER;
+    document.getElementById('computerSideSelect').classList.toggle('hidden', !isComputer);
+    document.getElementById('computerDifficultySelect').classList.toggle('hidden', !isComputer);
+  }
+
+  /**
+   * Show the difficulty picker only for solo, marking difficulties already cleared
+   * Solo difficulties decide the starting columns, so the input follows the picker
+   */
+  updateSoloDifficultySelect() {
+    const select = document.getElementById('soloDifficultySelect');
+    const columnsInput = document.getElementById('startingColumnsInput');
+    const cleared = this.settings.get('solo.cleared') || [];
+    const isSolo = document.getElementById('gameModeSelect').value === GameMode.SOLO;
+    
+    select.classList.toggle('hidden', !isSolo);
+    for (const option of select.options) {
+      const difficulty = SOLO_DIFFICULTIES[option.value];
+      const mark = cleared.includes(option.value) ? ' ✓' : '';
+      option.textContent = `${difficulty.name} (${difficulty.startingColumns} columns)${mark}`;
+    }
+    
+    columnsInput.disabled = isSolo;
+    if (isSolo) {
+      columnsInput.value = SOLO_DIFFICULTIES[select.value].startingColumns;
+    }
+  }
+
+  /**
+   * Read the game mode, difficulties, computer side, win rule and starting columns chosen for the next new game
+   * @returns {Object} Config values to apply
+   */
+  getNewGameOptions() {
+    const gameMode = document.getElementById('gameModeSelect').value;
+    const soloDifficulty = document.getElementById('soloDifficultySelect').value;
+    const computerSide = document.getElementById('computerSideSelect').value;
+    const computerDifficulty = document.getElementById('computerDifficultySelect').value;
+    const startingColumns = gameMode === GameMode.SOLO
+      ? SOLO_DIFFICULTIES[soloDifficulty].startingColumns
+      : Number(document.getElementById('startingColumnsInput').value);
+    
+    const winRule = document.getElementById('winRuleSelect').value;
+    
+    return { gameMode, soloDifficulty, computerSide, computerDifficulty, winRule, startingColumns };
+  }
+
+  /**
+   * Autosave the current session
+   */
+  autosave() {
+    this.saveManager.autosave(this.captureSession());
+  }
+
+  /**
+   * Commit a player action: record it for undo and autosave
+   * @param {Object} before - Session captured before the action
+   * @param {boolean} revealing - Whether the action revealed hidden information
+   */
+  commitAction(before, revealing) {
+    this.undoHistory.record(before, revealing);
+    this.autosave();
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Start a fresh undo history using the current game's policy
+   */
+  resetUndoHistory() {
+    this.undoHistory.setPolicy(getUndoPolicy(this.gameState.config));
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Handle undo (button or Ctrl+Z)
+   */
+  handleUndo() {
+    if (this.inputLocked) return;
+    
+    const snapshot = this.undoHistory.undo(this.captureSession());
+    if (!snapshot) return;
+    
+    this.restoreSession(snapshot);
+    this.gameState.logEvent('Undid last action', 'event');
     this.hud.updateActionLog();
+    this.autosave();
+    this.updateUndoButtons();
   }
 
   /**
-   * Handle Scout reveal tile selection
-   * @param {Object} tile - Selected tile coordinates
+   * Handle redo (button, Ctrl+Y or Ctrl+Shift+Z)
    */
-  handleScoutRevealClick(tile) {
-    // Check if tile is adjacent to Scout
-    const dx = Math.abs(tile.x - this.scoutUnit.x);
-    const dy = Math.abs(tile.y - this.scoutUnit.y);
-    const isAdjacent = (dx === 1 && dy === 0) || (dx === 0 && dy === 1);
+  handleRedo() {
+    if (this.inputLocked) return;
     
-    if (!isAdjacent) {
-      this.gameState.logEvent('Please select an adjacent tile', 'error');
-      this.hud.updateActionLog();
+    const snapshot = this.undoHistory.redo(this.captureSession());
+    if (!snapshot) return;
+    
+    this.restoreSession(snapshot);
+    this.autosave();
+    this.updateUndoButtons();
+  }
+
+  /**
+   * Handle keyboard shortcuts: R turns the held tile, Ctrl+Z / Ctrl+Y undo and redo
+   * @param {KeyboardEvent} event 
+   */
+  handleKeyDown(event) {
+    if (event.target.tagName === 'INPUT') return;
+    
+    const key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey)) {
+      if (key === 'r') {
+        this.rotateSelectedTile();
+      }
       return;
     }
     
-    // Reveal the tile
-    const result = this.gameState.revealAdjacentTile(this.scoutUnit.type, tile.x, tile.y);
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.handleUndo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      this.handleRedo();
+    }
+  }
+
+  /**
+   * Turn the selected tile a quarter turn clockwise, if it is oriented (one-way arrow)
+   */
+  rotateSelectedTile() {
+    if (this.inputLocked || this.gameState.phase !== GamePhase.DEFENSE) return;
+    if (!this.selectedTileType || !getTileDefinition(this.selectedTileType)?.oriented) return;
+    
+    const orientations = Object.values(Orientation);
+    const index = orientations.indexOf(this.selectedOrientation);
+    this.selectedOrientation = orientations[(index + 1) % orientations.length];
+    this.renderer.setCursorTile(this.selectedTileType, this.selectedOrientation);
+    this.renderer.render();
+  }
+
+  /**
+   * Enable undo/redo buttons when there is something to undo/redo
+   */
+  updateUndoButtons() {
+    document.getElementById('undoBtn').disabled = this.inputLocked || !this.undoHistory.canUndo();
+    document.getElementById('redoBtn').disabled = this.inputLocked || !this.undoHistory.canRedo();
+  }
+
+  /**
+   * Handle save game button
+   */
+  handleSaveGame() {
+    const name = prompt('Save game as:', `Turn ${this.gameState.turn}`);
+    if (!name) return;
+    
+    if (this.saveManager.loadSlot(name) && !confirm(`Overwrite save "${name}"?`)) {
+      return;
+    }
     
+    this.saveManager.saveSlot(name, this.captureSession());
+    this.gameState.logEvent(`Game saved as "${name}"`, 'event');
+    this.hud.updateActionLog();
+  }
+
+  /**
+   * Handle load game button
+   */
+  handleLoadGame() {
+    const slots = this.saveManager.listSlots();
+    if (slots.length === 0) {
+      alert('No saved games yet.');
+      return;
+    }
+    
+    const list = slots.map(slot => `${slot.name} (turn ${slot.turn})`).join('\n');
+    const name = prompt(`Load which save?\n${list}`, slots[0].name);
+    if (!name) return;
+    
+    const save = this.saveManager.loadSlot(name);
+    if (!save) {
+      alert(`No save named "${name}".`);
+      return;
+    }
+    
+    const result = this.restoreSession(save.session);
     if (result.success) {
-      this.gameState.logEvent(`Scout revealed tile at (${tile.x}, ${tile.y})`, 'event');
-      this.hud.updateActionLog();
-      
-      // Animate the reveal
-      this.renderer.animateTileReveal(tile.x, tile.y, () => {
-        // Clear Scout reveal mode
-        this.scoutRevealMode = false;
-        this.scoutUnit = null;
-        this.renderer.clearHighlightedTiles();
-        this.renderer.render();
-        this.hud.updateAll();
-      });
+      this.resetUndoHistory();
+      this.autosave();
     } else {
-      this.gameState.logEvent(result.error || 'Cannot reveal this tile', 'error');
-      this.hud.updateActionLog();
+      alert('Failed to load game: ' + result.error);
     }
   }
-}
 
+  /**
+   * Handle delete save button
+   */
+  handleDeleteSave() {
+    const slots = this.saveManager.listSlots();
+    if (slots.length === 0) {
+      alert('No saved games yet.');
+      return;
+    }
+    
+    const list = slots.map(slot => `${slot.name} (turn ${slot.turn})`).join('\n');
+    const name = prompt(`Delete which save?\n${list}`);
+    if (!name) return;
+    
+    if (!this.saveManager.loadSlot(name)) {
+      alert(`No save named "${name}".`);
+      return;
+    }
+    if (!confirm(`Delete save "${name}"? This cannot be undone.`)) return;
+    
+    this.saveManager.deleteSlot(name);
+    this.gameState.logEvent(`Deleted save "${name}"`, 'event');
+    this.hud.updateActionLog();
+  }
+
+  /**
+   * Handle export recording button - download the action log and seed as JSON
+   */
+  handleExportRecording() {
+    const recording = this.gameState.getRecording();
+    const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dungeon-rush-${recording.tileBagSeed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Handle recording file selection - replay it to its final state
+   * @param {Event} event 
+   */
+  async handleImportRecording(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    
+    let recording;
+    try {
+      recording = JSON.parse(await file.text());
+    } catch (error) {
+      alert('Could not read recording: ' + error.message);
+      return;
+    }
+    
+    if (confirm('Watch this recording step by step?\n(Cancel jumps straight to the final state)')) {
+      const watch = this.replayViewer.open(recording);
+      if (!watch.success) {
+        alert('Replay failed: ' + watch.error);
+      }
+      return;
+    }
+    
+    const result = replayRecording(recording);
+    if (!result.success) {
+      alert('Replay failed: ' + result.error);
+      return;
+    }
+    
+    this.restoreSession({ gameState: result.gameState.toJSON() });
+    this.resetUndoHistory();
+    this.gameState.logEvent(`Replayed ${recording.actions.length} recorded actions`, 'event');
+    this.hud.updateActionLog();
+    this.autosave();
+  }
+
+  /**
+   * Handle watch replay button - step through the current game's recording
+   */
+  handleWatchReplay() {
+    if (this.inputLocked) return;
+    
+    const result = this.replayViewer.open(this.gameState.getRecording());
+    if (!result.success) {
+      alert('Replay failed: ' + result.error);
+    }
+  }
+
+  /**
+   * Lock or unlock all player input (used by the replay viewer and during the computer's turns)
+   * @param {boolean} locked 
+   */
+  setInputLocked(locked) {
+    this.inputLocked = locked;
+    this.hud.setInputLocked(locked);
+    
+    if (locked) {
+      // Drop any half-finished interaction
+      this.spawnUnitType = null;
+      this.selectedTileType = null;
+      this.offensePlayer.deselectUnit();
+      this.renderer.clearHighlightedTiles();
+      this.renderer.clearCursorTile();
+    }
+    
+    this.hud.updateAll();
+    this.updateUndoButtons();
+  }
+}
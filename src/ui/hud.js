@@ -1,13 +1,18 @@
 /**
  * HUD (Heads-Up Display) management
  */
-import { getTileDisplayName, getUnitDisplayName, GamePhase, TileType } from '../utils/gameConfig.js';
+import { getTileDisplayName, GamePhase, SOLO_DIFFICULTIES, BOT_DIFFICULTIES } from '../utils/gameConfig.js';
+import { getTileDefinition } from '../game/tileRegistry.js';
+import { getUnitDefinitions } from '../game/unitRegistry.js';
 import { getImageLoader } from '../utils/imageLoader.js';
+import { describeAction } from '../game/replay.js';
 
 export class HUD {
   constructor(gameState) {
     this.gameState = gameState;
     this.imageLoader = getImageLoader();
+    this.inputLocked = false; // True while the replay viewer or the computer drives the board
+    this.replayLog = null; // { actions, currentIndex } while viewing a replay
     
     // DOM elements
     this.elements = {
@@ -42,13 +47,31 @@ export class HUD {
    */
   updateButtonStates() {
     const isGameOver = this.gameState.isGameOver();
+    const locked = this.inputLocked;
     
     // Disable End Turn buttons when game is over
-    document.getElementById('endDefenseTurnBtn').disabled = isGameOver;
-    document.getElementById('endOffenseTurnBtn').disabled = isGameOver;
-    document.getElementById('autoPlaceBtn').disabled = isGameOver;
+    document.getElementById('endDefenseTurnBtn').disabled = isGameOver || locked;
+    document.getElementById('endOffenseTurnBtn').disabled = isGameOver || locked || !!this.gameState.pendingChoice;
     
-    // Keep New Game and Replay buttons enabled
+    // A Scout's reveal is optional, so it can be passed on
+    const skipReveal = document.getElementById('skipRevealBtn');
+    skipReveal.classList.toggle('hidden', this.gameState.pendingChoice?.type !== 'scoutReveal');
+    skipReveal.disabled = isGameOver || locked;
+    document.getElementById('autoPlaceBtn').disabled = isGameOver || locked;
+    
+    // Keep New Game and Replay buttons enabled unless the replay viewer is open
+    ['newGameBtn', 'replaySeedBtn', 'saveGameBtn', 'loadGameBtn', 
+     'exportRecordingBtn', 'importRecordingBtn', 'watchReplayBtn'].forEach(id => {
+      document.getElementById(id).disabled = locked;
+    });
+  }
+
+  /**
+   * Lock or unlock player input buttons
+   * @param {boolean} locked 
+   */
+  setInputLocked(locked) {
+    this.inputLocked = locked;
   }
 
   /**
@@ -79,11 +102,11 @@ export class HUD {
   updateGold() {
     this.elements.goldAmount.textContent = this.gameState.gold;
     
-    // Calculate next turn income (base + units on board)
+    // Calculate next turn income (base + per-unit bonus for units on board)
     const unitsOnBoard = Object.values(this.gameState.units).filter(u => 
       u.alive && u.x > -1 && !u.trapped
     ).length;
-    const nextIncome = this.gameState.config.goldPerTurn + unitsOnBoard;
+    const nextIncome = this.gameState.config.goldPerTurn + unitsOnBoard * this.gameState.getTuning('goldPerActiveUnit');
     
     this.elements.goldIncome.textContent = nextIncome;
   }
@@ -95,10 +118,9 @@ export class HUD {
     const remaining = this.gameState.tileBag.getRemainingCounts();
     const html = Object.entries(remaining)
       .map(([type, count]) => {
-        const iconSrc = this.getTileIconSrc(type);
         return `
           <div class="tile-bag-item">
-            <img src="${iconSrc}" alt="${type}" class="tile-icon" />
+            ${this.getTileIconHtml(type)}
             <span>${getTileDisplayName(type)}:</span>
             <strong>${count}</strong>
           </div>
@@ -126,8 +148,7 @@ export class HUD {
     const assignedTiles = [];
     
     tiles.forEach(tileType => {
-      const iconSrc = this.getTileIconSrc(tileType);
-      tileItems.push({ tileType, iconSrc, assigned: false });
+      tileItems.push({ tileType, assigned: false });
     });
     
     // Mark assigned tiles
@@ -138,10 +159,10 @@ export class HUD {
       }
     });
 
-    const html = tileItems.map(({ tileType, iconSrc, assigned }) => {
+    const html = tileItems.map(({ tileType, assigned }) => {
       return `
         <div class="draw-tile-item ${assigned ? 'placed' : ''}" data-tile="${tileType}">
-          <img src="${iconSrc}" alt="${tileType}" class="tile-icon" />
+          ${this.getTileIconHtml(tileType)}
         </div>
       `;
     }).join('');
@@ -150,17 +171,24 @@ export class HUD {
   }
 
   /**
-   * Update units roster display
+   * Update units roster display (one card per registered unit type in the game)
    */
   updateUnitsRoster() {
-    const units = Object.entries(this.gameState.units);
+    const definitions = getUnitDefinitions().filter(definition => this.gameState.units[definition.id]);
     const config = this.gameState.config;
     
-    const html = units.map(([type, unit]) => {
+    const html = definitions.map(definition => {
+      const type = definition.id;
+      const unit = this.gameState.units[type];
+      const abilities = Object.entries(definition.abilities)
+        .map(([keyword, value]) => `${keyword} ${value}`)
+        .join(', ');
       const spawnCost = unit.getSpawnCost(config);
       const moveCost = unit.getMoveCost(config);
-      const canSpawn = !unit.alive && unit.canRespawn && this.gameState.gold >= spawnCost;
-      const canMove = unit.alive && !unit.trapped && this.gameState.gold >= moveCost;
+      const waiting = this.inputLocked || !!this.gameState.pendingChoice;
+      const canSpawn = !waiting && !unit.alive && unit.canRespawn && this.gameState.gold >= spawnCost &&
+        this.gameState.getSpawnTargets(type).length > 0;
+      const canMove = !waiting && unit.alive && !unit.trapped && this.gameState.gold >= moveCost;
       
       let statusClass = '';
       let statusText = '';
@@ -179,9 +207,10 @@ export class HUD {
       return `
         <div class="unit-card ${statusClass}" data-unit-type="${type}">
           <div class="unit-card-header">
-            <span class="unit-name">${getUnitDisplayName(type)}</span>
+            <span class="unit-name">${definition.name}</span>
             <span class="unit-status">${statusText}</span>
           </div>
+          <div class="unit-abilities">${abilities}</div>
           <div class="unit-actions">
             <button class="btn-spawn" 
                     data-unit-type="${type}" 
@@ -205,6 +234,11 @@ export class HUD {
    * Update action log
    */
   updateActionLog() {
+    if (this.replayLog) {
+      this.updateReplayLog();
+      return;
+    }
+    
     const events = this.gameState.getRecentEvents(15);
     
     const html = events.map(event => `
@@ -219,15 +253,69 @@ export class HUD {
     this.elements.actionLogContent.scrollTop = this.elements.actionLogContent.scrollHeight;
   }
 
+  /**
+   * Show recorded actions in the log panel instead of events
+   * @param {Array} actions 
+   * @param {number} currentIndex - Index of the last applied action (-1 for none)
+   */
+  setReplayLog(actions, currentIndex) {
+    this.replayLog = { actions, currentIndex };
+    this.updateReplayLog();
+  }
+
+  /**
+   * Return the log panel to showing events
+   */
+  clearReplayLog() {
+    this.replayLog = null;
+    this.updateActionLog();
+  }
+
+  /**
+   * Render the replay action list with the current step highlighted
+   */
+  updateReplayLog() {
+    const { actions, currentIndex } = this.replayLog;
+    
+    const html = actions.map((action, index) => `
+      <div class="log-entry replay-step ${index === currentIndex ? 'current' : ''}" data-replay-index="${index}">
+        T${action.turn}: ${describeAction(action)}
+      </div>
+    `).join('');
+    
+    this.elements.actionLogContent.innerHTML = html || '<p>No recorded actions</p>';
+    
+    // Keep the current step in view
+    const current = this.elements.actionLogContent.querySelector('.replay-step.current');
+    if (current) {
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
   /**
    * Show game over message
    * @param {string} winner 
    */
   showGameOver(winner) {
-    const message = winner === 'offense' 
-      ? 'Offense wins! A unit reached the defense endzone!'
+    const offenseWin = this.gameState.isLastTileRule()
+      ? 'Offense wins! A unit survived the last tile!'
+      : 'Offense wins! A unit reached the defense endzone!';
+    let message = winner === 'offense' 
+      ? offenseWin
       : 'Defense wins! Offense ran out of tiles!';
     
+    if (this.gameState.isSoloMode()) {
+      const difficulty = SOLO_DIFFICULTIES[this.gameState.config.soloDifficulty].name;
+      message = winner === 'offense'
+        ? `You escaped the dungeon! Solo difficulty cleared: ${difficulty}`
+        : `The dungeon wins! Solo difficulty not cleared: ${difficulty}`;
+    } else if (this.gameState.getComputerSide()) {
+      const difficulty = BOT_DIFFICULTIES[this.gameState.getComputerDifficulty()].name;
+      message = winner === this.gameState.getComputerSide()
+        ? `The computer (${difficulty}) wins! ${message}`
+        : `You beat the computer (${difficulty})! ${message}`;
+    }
+    
     this.gameState.logEvent(message, winner);
     this.updateActionLog();
     
@@ -250,16 +338,19 @@ export class HUD {
    * @returns {string}
    */
   getTileIconSrc(tileType) {
-    const images = {
-      [TileType.BLANK]: 'img/empty.png',
-      [TileType.SPIKE_TRAP]: 'img/trap_spikes.png',
-      [TileType.CAGE_TRAP]: 'img/trap_cage.png',
-      [TileType.OIL_SLICK_TRAP]: 'img/trap_oilslick.png',
-      [TileType.PUSHBACK_TRAP]: 'img/trap_pushback.png',
-      [TileType.BOMB_TRAP]: 'img/trap_bomb.png',
-      [TileType.WALL]: 'img/wall.png',
-      [TileType.TREASURE]: 'img/treasure.png'
-    };
-    return images[tileType] || 'img/empty.png';
+    return `img/${getTileDefinition(tileType)?.image || 'empty.png'}`;
+  }
+
+  /**
+   * Get the icon markup for a tile type - tiles without art show their color and symbol
+   * @param {string} tileType 
+   * @returns {string}
+   */
+  getTileIconHtml(tileType) {
+    const definition = getTileDefinition(tileType);
+    if (definition && !definition.image) {
+      return `<span class="tile-icon tile-icon-fallback" style="background-color: ${definition.color}">${definition.symbol}</span>`;
+    }
+    return `<img src="${this.getTileIconSrc(tileType)}" alt="${tileType}" class="tile-icon" />`;
   }
 }
@@ -0,0 +1,331 @@
+/**
+ * Replay viewer - step through a recorded game using the board animations
+ */
+import { replayRecording } from '../game/replay.js';
+
+export class ReplayViewer {
+  constructor(controls) {
+    this.controls = controls;
+    this.gameState = controls.gameState;
+    this.renderer = controls.renderer;
+    this.hud = controls.hud;
+
+    // Replay state
+    this.active = false;
+    this.steps = []; // [{ action, result, snapshot }] - snapshot is the state after the action
+    this.initialSnapshot = null;
+    this.position = 0; // Number of actions applied
+    this.animating = false;
+    this.playing = false;
+    this.playTimer = null;
+    this.speed = 1;
+    this.savedSession = null; // Game to return to when the viewer closes
+
+    this.elements = {
+      panel: document.getElementById('replayControls'),
+      position: document.getElementById('replayPosition'),
+      playPause: document.getElementById('replayPlayBtn'),
+      speed: document.getElementById('replaySpeed'),
+      turnInput: document.getElementById('replayTurnInput')
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup replay toolbar listeners
+   */
+  setupEventListeners() {
+    document.getElementById('replayStartBtn').addEventListener('click', () => this.jumpTo(0));
+    document.getElementById('replayBackBtn').addEventListener('click', () => this.stepBack());
+    document.getElementById('replayForwardBtn').addEventListener('click', () => this.stepForward());
+    document.getElementById('replayEndBtn').addEventListener('click', () => this.jumpTo(this.steps.length));
+    document.getElementById('replayTurnBtn').addEventListener('click', () => {
+      const turn = parseInt(this.elements.turnInput.value);
+      if (!isNaN(turn)) this.jumpToTurn(turn);
+    });
+    document.getElementById('replayExitBtn').addEventListener('click', () => this.close());
+
+    this.elements.playPause.addEventListener('click', () => {
+      if (this.playing) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    });
+
+    this.elements.speed.addEventListener('change', () => {
+      this.speed = parseFloat(this.elements.speed.value) || 1;
+    });
+
+    // Clicking an action in the log jumps to the state right after it
+    document.getElementById('actionLogContent').addEventListener('click', (event) => {
+      if (!this.active) return;
+      const entry = event.target.closest('[data-replay-index]');
+      if (entry) {
+        this.jumpTo(parseInt(entry.dataset.replayIndex) + 1);
+      }
+    });
+  }
+
+  /**
+   * Open the viewer on a recording
+   * @param {Object} recording - Data from GameState.getRecording()
+   * @returns {Object} { success: boolean, error: string }
+   */
+  open(recording) {
+    // Replaying once up front gives a snapshot for every step, so seeking is instant
+    const initial = replayRecording({ ...recording, actions: [] });
+    if (!initial.success) {
+      return initial;
+    }
+
+    const steps = [];
+    const result = replayRecording(recording, (index, action, actionResult, gameState) => {
+      steps.push({ action, result: actionResult, snapshot: gameState.toJSON() });
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    this.savedSession = this.controls.captureSession();
+    this.initialSnapshot = initial.gameState.toJSON();
+    this.steps = steps;
+    this.active = true;
+    this.speed = parseFloat(this.elements.speed.value) || 1;
+
+    this.controls.setInputLocked(true);
+    this.elements.panel.classList.remove('hidden');
+    this.jumpTo(0);
+
+    return { success: true };
+  }
+
+  /**
+   * Close the viewer and return to the game that was being played
+   */
+  close() {
+    if (!this.active) return;
+
+    this.pause();
+    this.active = false;
+    this.steps = [];
+    this.hud.clearReplayLog();
+    this.elements.panel.classList.add('hidden');
+
+    this.controls.setInputLocked(false);
+    this.controls.restoreSession(this.savedSession);
+    this.savedSession = null;
+  }
+
+  /**
+   * Show the state after a number of applied actions
+   * @param {number} position
+   */
+  jumpTo(position) {
+    if (!this.active || this.animating) return;
+
+    this.position = Math.max(0, Math.min(position, this.steps.length));
+    this.showSnapshot(this.getSnapshot(this.position));
+    this.updateDisplay();
+  }
+
+  /**
+   * Jump to the start of a turn
+   * @param {number} turn
+   */
+  jumpToTurn(turn) {
+    const index = this.steps.findIndex(step => step.action.turn >= turn);
+    this.jumpTo(index === -1 ? this.steps.length : index);
+  }
+
+  /**
+   * Step back one action
+   */
+  stepBack() {
+    this.pause();
+    this.jumpTo(this.position - 1);
+  }
+
+  /**
+   * Step forward one action, animating it
+   * @param {Function} callback - Called once the step has finished animating
+   */
+  stepForward(callback) {
+    if (!this.active || this.animating || this.position >= this.steps.length) {
+      if (callback) callback();
+      return;
+    }
+
+    const step = this.steps[this.position];
+    this.animating = true;
+
+    this.animateStep(step, () => {
+      this.animating = false;
+      this.position++;
+      this.showSnapshot(step.snapshot);
+      this.updateDisplay();
+      if (callback) callback();
+    });
+  }
+
+  /**
+   * Auto-play from the current position
+   */
+  play() {
+    if (!this.active || this.position >= this.steps.length) return;
+
+    this.playing = true;
+    this.elements.playPause.textContent = '⏸';
+
+    const next = () => {
+      if (!this.playing) return;
+      if (this.position >= this.steps.length) {
+        this.pause();
+        return;
+      }
+      this.stepForward(() => {
+        this.playTimer = setTimeout(next, 600 / this.speed);
+      });
+    };
+    next();
+  }
+
+  /**
+   * Stop auto-play
+   */
+  pause() {
+    this.playing = false;
+    clearTimeout(this.playTimer);
+    this.playTimer = null;
+    this.elements.playPause.textContent = '▶';
+  }
+
+  /**
+   * Play the animation for a step, moving the game state to the step's snapshot
+   * @param {Object} step
+   * @param {Function} callback
+   */
+  animateStep(step, callback) {
+    const { action, result } = step;
+
+    if (action.type === 'move' || action.type === 'cageRelease') {
+      const unit = this.gameState.units[action.unitType];
+      const fromX = unit.x;
+      const fromY = unit.y;
+      const tile = this.gameState.board.getTile(action.x, action.y);
+      const shouldAnimateReveal = tile && !tile.revealed && !unit.isJumpMove(action.x - fromX, action.y - fromY);
+
+      const moveUnit = () => {
+        this.showSnapshot(step.snapshot);
+        const movedUnit = this.gameState.units[action.unitType];
+        // Where the move itself ended - any slide or teleport after it is one of the resolved effects
+        const handoff = result.effects?.resolved?.find(effect =>
+          (effect.type === 'slide' || effect.type === 'teleport') && effect.unitType === action.unitType
+        );
+        const to = handoff ? handoff.from : (movedUnit.alive ? movedUnit : action);
+
+        this.renderer.animateUnitMove(movedUnit, fromX, fromY, to.x, to.y, () => {
+          this.renderer.animateEffects(result.effects?.resolved, callback);
+        });
+      };
+
+      if (shouldAnimateReveal) {
+        this.renderer.animateTileReveal(action.x, action.y, moveUnit);
+      } else {
+        moveUnit();
+      }
+      return;
+    }
+
+    if (action.type === 'spawn') {
+      const tile = this.gameState.board.getTile(0, action.row);
+      const showSpawn = () => {
+        this.showSnapshot(step.snapshot);
+        this.renderer.animateEffects(result.effects?.resolved, callback);
+      };
+
+      if (tile && !tile.revealed) {
+        this.renderer.animateTileReveal(0, action.row, showSpawn);
+      } else {
+        showSpawn();
+      }
+      return;
+    }
+
+    this.showSnapshot(step.snapshot);
+
+    if (action.type === 'scoutReveal') {
+      this.renderer.animateTileReveal(action.x, action.y, callback);
+      return;
+    }
+
+    callback();
+  }
+
+  /**
+   * Get the snapshot after a number of applied actions
+   * @param {number} position
+   * @returns {Object}
+   */
+  getSnapshot(position) {
+    return position === 0 ? this.initialSnapshot : this.steps[position - 1].snapshot;
+  }
+
+  /**
+   * Load a snapshot into the shared game state and draw it
+   * @param {Object} snapshot
+   */
+  showSnapshot(snapshot) {
+    this.gameState.restore(snapshot);
+    this.renderer.setPreviewTiles(this.getPendingAssignments(), this.getPendingOrientations());
+    this.renderer.setChoiceTiles(this.gameState.pendingChoice?.options || []);
+    this.renderer.render();
+    this.hud.updateAll();
+    this.hud.updateCurrentDraw(this.gameState.currentDraw, this.getPendingAssignments());
+  }
+
+  /**
+   * Rebuild defense assignments made since the last placed column
+   * @returns {Map} row -> tileType
+   */
+  getPendingAssignments() {
+    const assignments = new Map();
+    for (const { action } of this.steps.slice(0, this.position)) {
+      if (action.type === 'assign') {
+        assignments.set(action.row, action.tileType);
+      } else if (action.type === 'unassign') {
+        assignments.delete(action.row);
+      } else if (action.type === 'placeColumn') {
+        assignments.clear();
+      }
+    }
+    return assignments;
+  }
+
+  /**
+   * Rebuild the orientations of oriented tiles assigned since the last placed column
+   * @returns {Map} row -> orientation
+   */
+  getPendingOrientations() {
+    const orientations = new Map();
+    for (const { action } of this.steps.slice(0, this.position)) {
+      if (action.type === 'assign' && action.orientation) {
+        orientations.set(action.row, action.orientation);
+      } else if (action.type === 'assign' || action.type === 'unassign') {
+        orientations.delete(action.row);
+      } else if (action.type === 'placeColumn') {
+        orientations.clear();
+      }
+    }
+    return orientations;
+  }
+
+  /**
+   * Update the toolbar and the highlighted log entry
+   */
+  updateDisplay() {
+    this.elements.position.textContent = `${this.position} / ${this.steps.length}`;
+    this.hud.setReplayLog(this.steps.map(step => step.action), this.position - 1);
+  }
+}
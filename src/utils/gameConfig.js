@@ -1,27 +1,14 @@
 /**
  * Game configuration and setup structures for Dungeon Rush
  */
+import { TileType, getTileDefinition, isTileTypeRegistered } from '../game/tileRegistry.js';
+import { UnitType, getUnitDefinition, getDefaultUnitCosts, isUnitTypeRegistered } from '../game/unitRegistry.js';
 
-// Tile types enum
-export const TileType = {
-  BLANK: 'blank',
-  SPIKE_TRAP: 'spike_trap',
-  CAGE_TRAP: 'cage_trap',
-  OIL_SLICK_TRAP: 'oil_slick_trap',
-  PUSHBACK_TRAP: 'pushback_trap',
-  BOMB_TRAP: 'bomb_trap',
-  WALL: 'wall',
-  TREASURE: 'treasure'
-};
+// Tile types enum - defined with the tile registry, re-exported here for existing imports
+export { TileType };
 
-// Unit types enum
-export const UnitType = {
-  BASIC: 'basic',
-  SPRINTER: 'sprinter',
-  JUMPER: 'jumper',
-  SCOUT: 'scout',
-  BOMBER: 'bomber'
-};
+// Unit types enum - defined with the unit registry, re-exported here for existing imports
+export { UnitType };
 
 // Player phases
 export const GamePhase = {
@@ -29,6 +16,68 @@ export const GamePhase = {
   OFFENSE: 'offense'
 };
 
+// Game modes
+export const GameMode = {
+  VERSUS: 'versus',
+  PRACTICE: 'practice',
+  SOLO: 'solo', // Offense against the bag; defense columns are placed blind
+  COMPUTER: 'computer' // One player against the computer, which plays computerSide
+};
+
+// Solo mode difficulties
+export const SoloDifficulty = {
+  BASE: 'base',
+  HARD: 'hard',
+  BRUTAL: 'brutal',
+  INSANE: 'insane'
+};
+
+// Starting dungeon length for each solo difficulty (from the rule book)
+export const SOLO_DIFFICULTIES = {
+  [SoloDifficulty.BASE]: { name: 'Base Game', startingColumns: 3 },
+  [SoloDifficulty.HARD]: { name: 'Hard', startingColumns: 4 },
+  [SoloDifficulty.BRUTAL]: { name: 'Brutal', startingColumns: 5 },
+  [SoloDifficulty.INSANE]: { name: 'Insane', startingColumns: 6 }
+};
+
+// Computer opponent difficulties
+export const BotDifficulty = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard'
+};
+
+// How a computer opponent of each difficulty falls short of perfect play:
+// - forgetChance: odds of forgetting each tile it saw revealed, every turn
+// - randomChance: odds of each action being picked at random instead of the best one
+// - countsBag: whether it keeps track of which tiles have left the bag (otherwise it
+//   expects hidden tiles in the proportions the bag started with)
+export const BOT_DIFFICULTIES = {
+  [BotDifficulty.EASY]: { name: 'Easy', forgetChance: 0.5, randomChance: 0.4, countsBag: false },
+  [BotDifficulty.NORMAL]: { name: 'Normal', forgetChance: 0.3, randomChance: 0.15, countsBag: true },
+  [BotDifficulty.HARD]: { name: 'Hard', forgetChance: 0, randomChance: 0, countsBag: true }
+};
+
+// How offense wins
+export const WinRule = {
+  ENDZONE: 'endzone',                  // Move past the last column into the defense endzone
+  SURVIVE_LAST_TILE: 'surviveLastTile' // Enter a tile of the last column and survive its reveal (rule book)
+};
+
+// Blast shapes (Bomb Trap and Bomber explosions)
+export const BlastShape = {
+  DIAMOND: 'diamond', // Every tile within radius steps (radius 1: the center and the 4 adjacent)
+  CROSS: 'cross',     // Straight lines out from the center
+  SQUARE: 'square'    // Every tile within radius steps, diagonals included
+};
+
+// Undo policies
+export const UndoPolicy = {
+  UNLIMITED: 'unlimited',         // Any action can be undone
+  NON_REVEALING: 'nonRevealing',  // Only actions that reveal no hidden information
+  NONE: 'none'
+};
+
 /**
  * Default game configuration
  */
@@ -36,11 +85,28 @@ export const DEFAULT_GAME_CONFIG = {
   // Board settings
   totalPaths: 4, // Number of rows/paths
   
+  // Game mode and undo
+  gameMode: GameMode.VERSUS,
+  undoPolicy: null, // null = decided by game mode (see getUndoPolicy)
+  soloDifficulty: SoloDifficulty.BASE, // Only used in solo mode
+  computerSide: GamePhase.OFFENSE, // Side the computer plays, only used against the computer
+  computerDifficulty: BotDifficulty.NORMAL, // How well the computer plays, only used against the computer
+  winRule: WinRule.ENDZONE,
+  
   // Starting conditions
+  startingColumns: 3, // Columns defense lays before offense's first turn
   startingGold: 4,
   goldPerTurn: 4,
+  goldPerActiveUnit: 1, // Income bonus for each free unit on the board at the start of offense's turn
   
-  // Tile bag composition (36 total tiles)
+  // Tile tuning
+  treasureGold: 4, // Gold collected from a treasure tile
+  bombTrapRadius: 1, // How far a Bomb Trap's blast reaches (Bombers use their Bomb ability)
+  rockfallLength: 2, // Tiles buried along the row after the Rockfall itself
+  blastShape: BlastShape.DIAMOND, // Shape of every blast
+  wallBumpPenalty: 0, // Gold lost on top of the move's cost when a wall or one-way arrow turns a unit back
+  
+  // Tile bag composition (38 total tiles)
   tileBag: {
     [TileType.BLANK]: 12,
     [TileType.SPIKE_TRAP]: 6,
@@ -49,32 +115,12 @@ export const DEFAULT_GAME_CONFIG = {
     [TileType.PUSHBACK_TRAP]: 3,
     [TileType.BOMB_TRAP]: 2,
     [TileType.WALL]: 4,
-    [TileType.TREASURE]: 2
+    [TileType.TREASURE]: 2,
+    [TileType.TELEPORTER]: 2 // One linked pair
   },
   
-  // Unit costs
-  unitCosts: {
-    [UnitType.BASIC]: {
-      summon: 2,
-      move: 1
-    },
-    [UnitType.SPRINTER]: {
-      summon: 3,
-      move: 1
-    },
-    [UnitType.JUMPER]: {
-      summon: 3,
-      move: 1
-    },
-    [UnitType.SCOUT]: {
-      summon: 4,
-      move: 2
-    },
-    [UnitType.BOMBER]: {
-      summon: 4,
-      move: 1
-    }
-  }
+  // Unit costs (defaults come from the unit registry)
+  unitCosts: getDefaultUnitCosts()
 };
 
 /**
@@ -84,8 +130,15 @@ export const DEFAULT_GAME_CONFIG = {
  * @returns {Object} Complete game setup
  */
 export function createGameSetup(overrides = {}, seed = Date.now()) {
+  // Solo difficulties set the starting dungeon length unless it is given explicitly
+  const soloDifficulty = SOLO_DIFFICULTIES[overrides.soloDifficulty ?? DEFAULT_GAME_CONFIG.soloDifficulty];
+  const soloDefaults = overrides.gameMode === GameMode.SOLO && soloDifficulty
+    ? { startingColumns: soloDifficulty.startingColumns }
+    : {};
+  
   return {
     ...DEFAULT_GAME_CONFIG,
+    ...soloDefaults,
     ...overrides,
     tileBagSeed: seed,
     // Merge tile bag if partially overridden
@@ -93,9 +146,9 @@ export function createGameSetup(overrides = {}, seed = Date.now()) {
       ...DEFAULT_GAME_CONFIG.tileBag,
       ...(overrides.tileBag || {})
     },
-    // Merge unit costs if partially overridden
+    // Merge unit costs if partially overridden (units registered since startup get their defaults too)
     unitCosts: {
-      ...DEFAULT_GAME_CONFIG.unitCosts,
+      ...getDefaultUnitCosts(),
       ...(overrides.unitCosts || {})
     }
   };
@@ -113,6 +166,10 @@ export function validateGameConfig(config) {
     errors.push('totalPaths must be at least 1');
   }
   
+  if (!Number.isInteger(config.startingColumns) || config.startingColumns < 1) {
+    errors.push('startingColumns must be a whole number of at least 1');
+  }
+  
   if (config.startingGold < 0) {
     errors.push('startingGold cannot be negative');
   }
@@ -121,10 +178,65 @@ export function validateGameConfig(config) {
     errors.push('goldPerTurn cannot be negative');
   }
   
-  // Check tile bag has at least enough tiles for one turn
+  // Tuning values missing from games saved before they existed fall back to their defaults
+  for (const key of ['goldPerActiveUnit', 'treasureGold', 'bombTrapRadius', 'rockfallLength', 'wallBumpPenalty']) {
+    if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+      errors.push(`${key} must be a whole number of at least 0`);
+    }
+  }
+  
+  if (config.blastShape !== undefined && !Object.values(BlastShape).includes(config.blastShape)) {
+    errors.push(`blastShape must be one of: ${Object.values(BlastShape).join(', ')}`);
+  }
+  
+  if (!Object.values(GameMode).includes(config.gameMode)) {
+    errors.push(`gameMode must be one of: ${Object.values(GameMode).join(', ')}`);
+  }
+  
+  if (config.gameMode === GameMode.SOLO && !SOLO_DIFFICULTIES[config.soloDifficulty]) {
+    errors.push(`soloDifficulty must be one of: ${Object.values(SoloDifficulty).join(', ')}`);
+  }
+  
+  if (config.gameMode === GameMode.COMPUTER && !Object.values(GamePhase).includes(config.computerSide)) {
+    errors.push(`computerSide must be one of: ${Object.values(GamePhase).join(', ')}`);
+  }
+  
+  // Games saved before difficulties existed play at the default
+  if (config.gameMode === GameMode.COMPUTER && config.computerDifficulty !== undefined &&
+    !BOT_DIFFICULTIES[config.computerDifficulty]) {
+    errors.push(`computerDifficulty must be one of: ${Object.values(BotDifficulty).join(', ')}`);
+  }
+  
+  if (!Object.values(WinRule).includes(config.winRule)) {
+    errors.push(`winRule must be one of: ${Object.values(WinRule).join(', ')}`);
+  }
+  
+  if (config.undoPolicy !== null && !Object.values(UndoPolicy).includes(config.undoPolicy)) {
+    errors.push(`undoPolicy must be null or one of: ${Object.values(UndoPolicy).join(', ')}`);
+  }
+  
+  const unknownTiles = Object.keys(config.tileBag).filter(type => !isTileTypeRegistered(type));
+  if (unknownTiles.length > 0) {
+    errors.push(`tileBag contains unregistered tile types: ${unknownTiles.join(', ')}`);
+  }
+  
+  const unpaired = Object.entries(config.tileBag)
+    .filter(([type, count]) => getTileDefinition(type)?.paired && count % 2 !== 0)
+    .map(([type]) => type);
+  if (unpaired.length > 0) {
+    errors.push(`tileBag must hold ${unpaired.join(', ')} tiles in pairs (an even count)`);
+  }
+  
+  const unknownUnits = Object.keys(config.unitCosts).filter(type => !isUnitTypeRegistered(type));
+  if (unknownUnits.length > 0) {
+    errors.push(`unitCosts contains unregistered unit types: ${unknownUnits.join(', ')}`);
+  }
+  
+  // Check tile bag has at least enough tiles for the opening columns
   const totalTiles = Object.values(config.tileBag).reduce((sum, count) => sum + count, 0);
-  if (totalTiles < config.totalPaths) {
-    errors.push(`tileBag must contain at least ${config.totalPaths} tiles for one turn`);
+  const openingTiles = config.totalPaths * (config.startingColumns || 1);
+  if (totalTiles < openingTiles) {
+    errors.push(`tileBag must contain at least ${openingTiles} tiles for the opening columns`);
   }
   
   return {
@@ -133,23 +245,31 @@ export function validateGameConfig(config) {
   };
 }
 
+/**
+ * Get the undo policy for a game
+ * Versus games and games against the computer only allow undoing actions that reveal nothing, so
+ * hidden information isn't leaked to the opponent; practice and solo games allow everything
+ * @param {Object} config 
+ * @returns {string} UndoPolicy value
+ */
+export function getUndoPolicy(config) {
+  if (config.undoPolicy) {
+    return config.undoPolicy;
+  }
+  // Configs saved before game modes existed are versus games
+  if (config.gameMode === GameMode.PRACTICE || config.gameMode === GameMode.SOLO) {
+    return UndoPolicy.UNLIMITED;
+  }
+  return UndoPolicy.NON_REVEALING;
+}
+
 /**
  * Get display name for tile type
  * @param {string} tileType 
  * @returns {string}
  */
 export function getTileDisplayName(tileType) {
-  const names = {
-    [TileType.BLANK]: 'Blank',
-    [TileType.SPIKE_TRAP]: 'Spike Trap',
-    [TileType.CAGE_TRAP]: 'Cage Trap',
-    [TileType.OIL_SLICK_TRAP]: 'Oil Slick Trap',
-    [TileType.PUSHBACK_TRAP]: 'Pushback Trap',
-    [TileType.BOMB_TRAP]: 'Bomb Trap',
-    [TileType.WALL]: 'Wall',
-    [TileType.TREASURE]: 'Treasure'
-  };
-  return names[tileType] || 'Unknown';
+  return getTileDefinition(tileType)?.name || 'Unknown';
 }
 
 /**
@@ -158,12 +278,5 @@ export function getTileDisplayName(tileType) {
  * @returns {string}
  */
 export function getUnitDisplayName(unitType) {
-  const names = {
-    [UnitType.BASIC]: 'Basic',
-    [UnitType.SPRINTER]: 'Sprinter',
-    [UnitType.JUMPER]: 'Jumper',
-    [UnitType.SCOUT]: 'Scout',
-    [UnitType.BOMBER]: 'Bomber'
-  };
-  return names[unitType] || 'Unknown';
+  return getUnitDefinition(unitType)?.name || 'Unknown';
 }
@@ -1,6 +1,7 @@
 /**
  * Image loader utility for tile and unit images
  */
+import { getTileDefinitions } from '../game/tileRegistry.js';
 
 export class ImageLoader {
   constructor() {
@@ -20,14 +21,7 @@ export class ImageLoader {
 
     const imageFiles = [
       // Tile images
-      'empty.png',
-      'trap_spikes.png',
-      'trap_cage.png',
-      'trap_oilslick.png',
-      'trap_pushback.png',
-      'trap_bomb.png',
-      'wall.png',
-      'treasure.png',
+      ...new Set(getTileDefinitions().map(definition => definition.image).filter(Boolean)),
       // Cover images for face-down tiles
       'dungeonrush_cover1.png',
       'dungeonrush_cover2.png'
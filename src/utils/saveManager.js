@@ -0,0 +1,108 @@
+/**
+ * Save manager - stores game saves (autosave and named slots) through the settings layer
+ */
+import { getSettings } from './settings.js';
+
+export class SaveManager {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Overwrite the autosave
+   * @param {Object} session - Session data from Controls.captureSession()
+   */
+  autosave(session) {
+    this.settings.set('saves.autosave', this._wrap(session));
+  }
+
+  /**
+   * Get the autosave
+   * @returns {Object|null} { savedAt, turn, session }
+   */
+  getAutosave() {
+    return this.settings.get('saves.autosave') || null;
+  }
+
+  /**
+   * Remove the autosave
+   */
+  clearAutosave() {
+    this.settings.set('saves.autosave', null);
+  }
+
+  /**
+   * Save to a named slot (overwrites an existing slot with the same name)
+   * @param {string} name 
+   * @param {Object} session 
+   */
+  saveSlot(name, session) {
+    this.settings.set(`saves.slots.${this._slotKey(name)}`, { name, ...this._wrap(session) });
+  }
+
+  /**
+   * Load a named slot
+   * @param {string} name 
+   * @returns {Object|null} { name, savedAt, turn, session }
+   */
+  loadSlot(name) {
+    return this.settings.get(`saves.slots.${this._slotKey(name)}`) || null;
+  }
+
+  /**
+   * Delete a named slot
+   * @param {string} name 
+   */
+  deleteSlot(name) {
+    const slots = { ...this.settings.get('saves.slots') };
+    delete slots[this._slotKey(name)];
+    this.settings.set('saves.slots', slots);
+  }
+
+  /**
+   * List saved slots, newest first
+   * @returns {Array} Array of { name, savedAt, turn }
+   */
+  listSlots() {
+    const slots = Object.values(this.settings.get('saves.slots') || {});
+    return slots
+      .map(({ name, savedAt, turn }) => ({ name, savedAt, turn }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Wrap session data with save metadata
+   * @param {Object} session 
+   * @returns {Object}
+   */
+  _wrap(session) {
+    return {
+      savedAt: Date.now(),
+      turn: session.gameState.turn,
+      session
+    };
+  }
+
+  /**
+   * Slot names may contain dots, which the settings path syntax splits on
+   * @param {string} name 
+   * @returns {string}
+   */
+  _slotKey(name) {
+    return encodeURIComponent(name).replace(/\./g, '%2E');
+  }
+}
+
+// Singleton instance
+let saveManagerInstance = null;
+
+/**
+ * Get the singleton save manager instance
+ * @returns {SaveManager}
+ */
+export function getSaveManager() {
+  if (!saveManagerInstance) {
+    saveManagerInstance = new SaveManager(getSettings());
+  }
+  return saveManagerInstance;
+}
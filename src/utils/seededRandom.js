@@ -8,6 +8,22 @@ export class SeededRandom {
     if (this.seed <= 0) this.seed += 2147483646;
   }
 
+  /**
+   * Create a generator for one of many decisions in a seeded game, so each decision can be
+   * made again without storing generator state
+   * Neighboring seeds would start the LCG in step, so the parts are hashed together first
+   * @param {number} seed - Game seed
+   * @param {number} salt - Tells the decisions apart (e.g. the number of actions taken so far)
+   * @returns {SeededRandom}
+   */
+  static fromParts(seed, salt) {
+    let hash = (seed % 2147483647) ^ Math.imul(salt + 1, 0x9e3779b1);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return new SeededRandom(hash >>> 1);
+  }
+
   /**
    * Generate next random number between 0 and 1
    * @returns {number} Random number [0, 1)
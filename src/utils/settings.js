@@ -9,6 +9,13 @@ const DEFAULT_SETTINGS = {
     tileBag: {
       isCollapsed: false
     }
+  },
+  saves: {
+    autosave: null,
+    slots: {}
+  },
+  solo: {
+    cleared: [] // Solo difficulties won at least once
   }
 };
 
@@ -57,6 +64,13 @@ export class Settings {
         tileBag: {
           isCollapsed: saved?.ui?.tileBag?.isCollapsed ?? DEFAULT_SETTINGS.ui.tileBag.isCollapsed
         }
+      },
+      saves: {
+        autosave: saved?.saves?.autosave ?? DEFAULT_SETTINGS.saves.autosave,
+        slots: { ...(saved?.saves?.slots ?? DEFAULT_SETTINGS.saves.slots) }
+      },
+      solo: {
+        cleared: [...(saved?.solo?.cleared ?? DEFAULT_SETTINGS.solo.cleared)]
       }
     };
   }
@@ -0,0 +1,338 @@
+/**
+ * Bot arena - plays games between two bots over the text protocol (src/sim/protocol.js)
+ *
+ * Usage:
+ *   node tools/arena.js --offense "<command>" --defense "<command>" [--games 1] [--seed 1]
+ *                       [--config overrides.json] [--timeout 10000] [--verbose true]
+ * A side can be played by the built-in computer instead of a process: --defense computer:hard
+ *
+ * Each bot process is started for every game and talks over stdin/stdout, one message per line:
+ *   arena -> bot  protocol 1, side <offense|defense>, config <JSON>, isready; bot answers readyok
+ *                 (after an optional name <text>). The config leaves out the tile bag seed.
+ *   arena -> bot  a state block (see ProtocolSession.describeState), then go; bot answers with one command
+ *   arena -> bot  error <message> if the command was turned down, info <message> for what it did
+ *   arena -> bot  gameover <offense|defense|none>, then quit
+ * A bot that doesn't answer in time, exits, or has 10 commands in a row turned down forfeits.
+ * Bot stderr is passed through for debugging.
+ */
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { readFileSync } from 'fs';
+import { createEngine } from '../src/game/engine.js';
+import { GamePhase, BOT_DIFFICULTIES } from '../src/utils/gameConfig.js';
+import { OffenseBot } from '../src/player/offenseBot.js';
+import { DefenseBot } from '../src/player/defenseBot.js';
+import { ProtocolSession, PROTOCOL_VERSION, formatCommand } from '../src/sim/protocol.js';
+
+// Commands in a row a bot may have turned down before it forfeits
+const MAX_REJECTED_IN_A_ROW = 10;
+
+// Commands one game may take before it is called a draw
+const MAX_COMMANDS_PER_GAME = 5000;
+
+const COMPUTER_PREFIX = 'computer:';
+
+const DEFAULT_OPTIONS = {
+  offense: null,
+  defense: null,
+  games: '1',
+  seed: '1',
+  config: null,
+  timeout: '10000',
+  verbose: 'false'
+};
+
+/**
+ * A bot running as a separate process
+ */
+class ProcessPlayer {
+  constructor(commandLine) {
+    this.commandLine = commandLine;
+    this.name = commandLine;
+    this.child = null;
+    this.lines = []; // Lines received and not read yet
+    this.waiting = null; // { resolve, reject } of the pending readLine()
+    this.exited = false;
+  }
+
+  /**
+   * Start the process and wait for it to be ready
+   * @param {string} side
+   * @param {Object} config - Game config to announce
+   * @param {number} timeout - ms
+   */
+  async start(side, config, timeout) {
+    this.child = spawn(this.commandLine, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+    // A bot that has exited can't be written to - it forfeits on its next read instead
+    this.child.stdin.on('error', () => {});
+    this.child.on('exit', () => {
+      this.exited = true;
+      this.waiting?.reject(new Error(`${this.name} exited`));
+      this.waiting = null;
+    });
+    createInterface({ input: this.child.stdout }).on('line', line => {
+      if (this.waiting) {
+        this.waiting.resolve(line);
+        this.waiting = null;
+      } else {
+        this.lines.push(line);
+      }
+    });
+
+    const { tileBagSeed, ...visibleConfig } = config;
+    this.send([`protocol ${PROTOCOL_VERSION}`, `side ${side}`, `config ${JSON.stringify(visibleConfig)}`, 'isready']);
+    for (;;) {
+      const line = await this.readLine(timeout);
+      if (line.startsWith('name ')) {
+        this.name = line.slice(5).trim();
+      } else if (line.trim() === 'readyok') {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Send the state and wait for a command
+   * @param {Array} stateLines
+   * @param {number} timeout - ms
+   * @returns {Promise<string>}
+   */
+  async choose(stateLines, timeout) {
+    this.send([...stateLines, 'go']);
+    for (;;) {
+      const line = (await this.readLine(timeout)).trim();
+      if (line) return line;
+    }
+  }
+
+  /**
+   * Tell the bot how its command went
+   * @param {Object} outcome - Result of ProtocolSession.execute()
+   */
+  observe(outcome) {
+    this.send([
+      ...(outcome.success ? [] : [`error ${outcome.error}`]),
+      ...outcome.events.map(message => `info ${message}`)
+    ]);
+  }
+
+  /**
+   * Announce the result and stop the process
+   * @param {string|null} winner
+   */
+  stop(winner) {
+    if (!this.child) return;
+    this.send([`gameover ${winner || 'none'}`, 'quit']);
+    this.child.stdin.end();
+    // Give the bot a moment to exit by itself
+    const child = this.child;
+    setTimeout(() => {
+      if (!this.exited) child.kill();
+    }, 1000).unref();
+  }
+
+  /**
+   * Write lines to the bot
+   * @param {Array} lines
+   */
+  send(lines) {
+    if (lines.length > 0 && !this.exited) {
+      this.child.stdin.write(lines.join('\n') + '\n');
+    }
+  }
+
+  /**
+   * Read the next line from the bot
+   * @param {number} timeout - ms
+   * @returns {Promise<string>}
+   */
+  readLine(timeout) {
+    if (this.lines.length > 0) {
+      return Promise.resolve(this.lines.shift());
+    }
+    if (this.exited) {
+      return Promise.reject(new Error(`${this.name} exited`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new Error(`${this.name} did not answer within ${timeout} ms`));
+      }, timeout);
+      this.waiting = {
+        resolve: line => { clearTimeout(timer); resolve(line); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      };
+    });
+  }
+}
+
+/**
+ * The built-in computer, playing through the same text commands as a bot process
+ */
+class ComputerPlayer {
+  constructor(difficulty, gameState) {
+    this.name = `computer (${difficulty})`;
+    this.difficulty = difficulty;
+    this.gameState = gameState;
+    this.bot = null;
+    this.queue = []; // Commands still to send for the column being placed
+  }
+
+  async start(side) {
+    const Bot = side === GamePhase.OFFENSE ? OffenseBot : DefenseBot;
+    this.bot = new Bot(this.gameState, this.difficulty);
+  }
+
+  async choose() {
+    if (this.queue.length === 0) {
+      this.queue = formatCommand(this.bot.chooseCommand());
+    }
+    return this.queue.shift();
+  }
+
+  observe(outcome) {
+    if (!outcome.success) {
+      this.queue = [];
+    }
+    if (outcome.command && this.bot.observeResult) {
+      this.bot.observeResult(outcome.command, outcome.result);
+    }
+  }
+
+  stop() {}
+}
+
+/**
+ * Create the player for a side
+ * @param {string} spec - Command line, or computer:<difficulty>
+ * @param {GameState} gameState
+ * @returns {ProcessPlayer|ComputerPlayer}
+ */
+function createPlayer(spec, gameState) {
+  if (spec.startsWith(COMPUTER_PREFIX)) {
+    return new ComputerPlayer(spec.slice(COMPUTER_PREFIX.length), gameState);
+  }
+  return new ProcessPlayer(spec);
+}
+
+/**
+ * Play one game
+ * @param {Object} options - Parsed command line options
+ * @param {Object} overrides - Config overrides
+ * @param {number} seed
+ * @returns {Promise<Object>} { winner, reason, turns, names }
+ */
+async function playGame(options, overrides, seed) {
+  const engine = createEngine(overrides, seed);
+  const session = new ProtocolSession(engine);
+  const timeout = Number(options.timeout);
+  const players = {
+    [GamePhase.OFFENSE]: createPlayer(options.offense, engine.gameState),
+    [GamePhase.DEFENSE]: createPlayer(options.defense, engine.gameState)
+  };
+  const opponent = side => side === GamePhase.OFFENSE ? GamePhase.DEFENSE : GamePhase.OFFENSE;
+  const rejected = { [GamePhase.OFFENSE]: 0, [GamePhase.DEFENSE]: 0 };
+  let winner = null;
+  let reason = null;
+  let side = null;
+
+  try {
+    for (side of Object.keys(players)) {
+      await players[side].start(side, engine.gameState.config, timeout);
+    }
+
+    for (let count = 0; (side = session.getSideToMove()); count++) {
+      if (count >= MAX_COMMANDS_PER_GAME) {
+        reason = `no result after ${MAX_COMMANDS_PER_GAME} commands`;
+        break;
+      }
+
+      const line = await players[side].choose(session.describeState(side), timeout);
+      const outcome = session.execute(side, line);
+      players[side].observe(outcome);
+      if (options.verbose === 'true') {
+        console.log(`  ${side}: ${line}${outcome.success ? '' : `  (turned down: ${outcome.error})`}`);
+      }
+
+      rejected[side] = outcome.success ? 0 : rejected[side] + 1;
+      if (rejected[side] >= MAX_REJECTED_IN_A_ROW) {
+        winner = opponent(side);
+        reason = `${side} forfeits: ${MAX_REJECTED_IN_A_ROW} commands in a row turned down`;
+        break;
+      }
+    }
+  } catch (error) {
+    winner = opponent(side);
+    reason = `${side} forfeits: ${error.message}`;
+  }
+
+  if (!reason && engine.isGameOver()) {
+    winner = engine.getWinner();
+    reason = engine.gameState.events.at(-1)?.message;
+  }
+  for (const player of Object.values(players)) {
+    player.stop(winner);
+  }
+
+  return {
+    winner,
+    reason,
+    turns: engine.gameState.turn,
+    names: Object.fromEntries(Object.entries(players).map(([playerSide, player]) => [playerSide, player.name]))
+  };
+}
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} args
+ * @returns {Object} Options, with defaults for any not given
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in DEFAULT_OPTIONS) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    options[name] = args[i + 1];
+  }
+
+  for (const side of [GamePhase.OFFENSE, GamePhase.DEFENSE]) {
+    if (!options[side]) {
+      throw new Error(`--${side} is required (a command line, or computer:<difficulty>)`);
+    }
+    if (options[side].startsWith(COMPUTER_PREFIX) && !BOT_DIFFICULTIES[options[side].slice(COMPUTER_PREFIX.length)]) {
+      throw new Error(`Computer difficulty must be one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')}`);
+    }
+  }
+  for (const name of ['games', 'seed', 'timeout']) {
+    if (!Number.isInteger(Number(options[name]))) {
+      throw new Error(`--${name} must be a whole number`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const overrides = options.config ? JSON.parse(readFileSync(options.config, 'utf8')) : {};
+  const wins = { [GamePhase.OFFENSE]: 0, [GamePhase.DEFENSE]: 0, none: 0 };
+  let names = null;
+
+  for (let index = 0; index < Number(options.games); index++) {
+    const seed = Number(options.seed) + index;
+    const game = await playGame(options, overrides, seed);
+    names = game.names;
+    wins[game.winner || 'none']++;
+    console.log(`Game ${index + 1} (seed ${seed}): ${game.winner ? `${game.winner} wins` : 'no winner'} on turn ${game.turns} - ${game.reason}`);
+  }
+
+  console.log(`Offense ${names.offense}: ${wins.offense} | Defense ${names.defense}: ${wins.defense}` +
+    (wins.none ? ` | No winner: ${wins.none}` : ''));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * Protocol check - plays random games through the text protocol and tries every legal line
+ * the session lists on a copy of the game, reporting any the engine turns down
+ *
+ * Usage:
+ *   node tools/checkProtocol.js [--games 500] [--seed 1] [--config overrides.json]
+ * Exits with status 1 if any legal line was turned down
+ */
+import { readFileSync } from 'fs';
+import { createEngine, Engine } from '../src/game/engine.js';
+import { GameState } from '../src/game/gameState.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+import { ProtocolSession } from '../src/sim/protocol.js';
+
+// Commands one game may take before the check moves on to the next
+const MAX_COMMANDS_PER_GAME = 2000;
+
+// Chance offense ends its turn while it still has something else to do (kept low so units
+// crowd together and reach the endzone, where the tricky moves are)
+const END_CHANCE = 0.05;
+
+// Failures listed in full before the rest are only counted
+const MAX_LISTED_FAILURES = 20;
+
+const DEFAULT_OPTIONS = {
+  games: '500',
+  seed: '1',
+  config: null
+};
+
+/**
+ * Copy a session, game and assignments so far
+ * @param {ProtocolSession} session
+ * @returns {ProtocolSession}
+ */
+function copySession(session) {
+  const copy = new ProtocolSession(new Engine(GameState.fromJSON(session.gameState.toJSON())));
+  const orientations = session.defensePlayer.getOrientations();
+  for (const [row, type] of session.defensePlayer.getAssignments()) {
+    copy.execute(session.getSideToMove(), `place ${row} ${type} ${orientations.get(row) || ''}`);
+  }
+  return copy;
+}
+
+/**
+ * Play one random game, trying each legal line before picking one
+ * @param {Object} overrides - Config overrides
+ * @param {number} seed
+ * @returns {Object} { checked, failures } where failures lists { seed, side, line, error }
+ */
+function checkGame(overrides, seed) {
+  const session = new ProtocolSession(createEngine(overrides, seed));
+  const rng = SeededRandom.fromParts(seed, 0);
+  const failures = [];
+  let checked = 0;
+
+  for (let count = 0; count < MAX_COMMANDS_PER_GAME; count++) {
+    const side = session.getSideToMove();
+    if (!side) break;
+
+    const legal = session.getLegalCommands(side);
+    for (const line of legal) {
+      const outcome = copySession(session).execute(side, line);
+      checked++;
+      if (!outcome.success) {
+        failures.push({ seed, side, line, error: outcome.error });
+      }
+    }
+
+    const others = legal.filter(line => line !== 'end');
+    const line = others.length === 0 || rng.next() < END_CHANCE ? 'end' : rng.choice(others);
+    if (!session.execute(side, line).success) break;
+  }
+
+  return { checked, failures };
+}
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} args
+ * @returns {Object} Options, with defaults for any not given
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in DEFAULT_OPTIONS) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    options[name] = args[i + 1];
+  }
+  for (const name of ['games', 'seed']) {
+    if (!Number.isInteger(Number(options[name]))) {
+      throw new Error(`--${name} must be a whole number`);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const overrides = options.config ? JSON.parse(readFileSync(options.config, 'utf8')) : {};
+  const failures = [];
+  let checked = 0;
+
+  for (let index = 0; index < Number(options.games); index++) {
+    const game = checkGame(overrides, Number(options.seed) + index);
+    checked += game.checked;
+    failures.push(...game.failures);
+  }
+
+  for (const failure of failures.slice(0, MAX_LISTED_FAILURES)) {
+    console.log(`Seed ${failure.seed}, ${failure.side}: "${failure.line}" turned down - ${failure.error}`);
+  }
+  if (failures.length > MAX_LISTED_FAILURES) {
+    console.log(`... and ${failures.length - MAX_LISTED_FAILURES} more`);
+  }
+  console.log(`Checked ${checked} legal commands over ${options.games} games: ${failures.length} turned down`);
+  if (failures.length > 0) {
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,55 @@
+/**
+ * Example protocol bot - answers every go with one of the legal commands at random
+ * Plays either side; a starting point for bots of your own (see tools/arena.js)
+ *
+ * Usage:
+ *   node tools/arena.js --offense "node tools/randomBot.js" --defense "node tools/randomBot.js"
+ */
+import { createInterface } from 'readline';
+
+// Chance offense ends its turn while it still has something else to do
+const END_CHANCE = 0.2;
+
+let legal = [];
+
+createInterface({ input: process.stdin }).on('line', line => {
+  const [keyword, ...rest] = line.trim().split(/\s+/);
+
+  switch (keyword) {
+    case 'isready':
+      reply('name random');
+      reply('readyok');
+      break;
+    case 'state':
+      legal = [];
+      break;
+    case 'legal':
+      legal.push(rest.join(' '));
+      break;
+    case 'go':
+      reply(chooseCommand());
+      break;
+    case 'quit':
+      process.exit(0);
+  }
+});
+
+/**
+ * Pick a legal command, ending the turn only now and then while there's more to do
+ * @returns {string}
+ */
+function chooseCommand() {
+  const others = legal.filter(command => command !== 'end');
+  if (others.length === 0 || (legal.includes('end') && Math.random() < END_CHANCE)) {
+    return 'end';
+  }
+  return others[Math.floor(Math.random() * others.length)];
+}
+
+/**
+ * Send a line to the arena
+ * @param {string} text
+ */
+function reply(text) {
+  process.stdout.write(text + '\n');
+}
@@ -0,0 +1,89 @@
+/**
+ * Balance simulator - plays computer-vs-computer games and writes the statistics to JSON and CSV
+ *
+ * Usage:
+ *   node tools/simulate.js [--games 1000] [--seed 1] [--variants variants.json]
+ *                          [--offense hard] [--defense hard] [--out simulation]
+ *
+ * variants.json maps a variant name to config overrides, every variant playing the same seeds:
+ *   { "base": {}, "cheap sprinter": { "unitCosts": { "sprinter": { "summon": 2, "move": 1 } } } }
+ * Writes <out>.json (the full report) and <out>.csv (one row per variant and statistic)
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { BOT_DIFFICULTIES } from '../src/utils/gameConfig.js';
+import { runSimulation, reportToCSV } from '../src/sim/simulator.js';
+
+const DEFAULT_OPTIONS = {
+  games: '1000',
+  seed: '1',
+  variants: null,
+  offense: 'hard',
+  defense: 'hard',
+  out: 'simulation'
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} args
+ * @returns {Object} Options, with defaults for any not given
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in DEFAULT_OPTIONS) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    options[name] = args[i + 1];
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const games = Number(options.games);
+  const firstSeed = Number(options.seed);
+  if (!Number.isInteger(games) || games < 1 || !Number.isInteger(firstSeed)) {
+    throw new Error('--games must be a whole number of at least 1 and --seed a whole number');
+  }
+  for (const side of ['offense', 'defense']) {
+    if (!BOT_DIFFICULTIES[options[side]]) {
+      throw new Error(`--${side} must be one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')}`);
+    }
+  }
+  const variants = options.variants ? JSON.parse(readFileSync(options.variants, 'utf8')) : { base: {} };
+
+  const total = games * Object.keys(variants).length;
+  let played = 0;
+  const report = runSimulation({
+    variants,
+    games,
+    firstSeed,
+    offense: options.offense,
+    defense: options.defense,
+    onGame: () => {
+      played++;
+      if (played % 100 === 0 || played === total) {
+        process.stderr.write(`\rPlayed ${played} / ${total} games`);
+      }
+    }
+  });
+  process.stderr.write('\n');
+
+  writeFileSync(`${options.out}.json`, JSON.stringify(report, null, 2));
+  writeFileSync(`${options.out}.csv`, reportToCSV(report));
+
+  for (const summary of report.variants) {
+    const offense = (summary.winRate.offense * 100).toFixed(1);
+    const defense = (summary.winRate.defense * 100).toFixed(1);
+    console.log(`${summary.name}: offense ${offense}% / defense ${defense}%, ${summary.averageTurns.toFixed(1)} turns on average`);
+  }
+  console.log(`Wrote ${options.out}.json and ${options.out}.csv`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}